@@ -0,0 +1,69 @@
+import { TETROMINOES } from './tetrominoes.js';
+
+// Colour-blind and reduced-motion options
+
+// Piece colours, with alternatives for players who can't tell the standard
+// ones apart. A palette without colours uses the ones in TETROMINOES.
+// Palettes only cover the tetrominoes; other sets keep their own colours.
+export const PALETTES = [
+    { id: 'standard', label: 'Standard', colors: null },
+    {
+        // Okabe-Ito: seven hues that stay distinct with the common colour deficiencies
+        id: 'colorblind',
+        label: 'Colour-blind',
+        colors: { I: '#56b4e9', O: '#f0e442', T: '#cc79a7', S: '#009e73', Z: '#d55e00', J: '#0072b2', L: '#e69f00' }
+    },
+    {
+        id: 'contrast',
+        label: 'High contrast',
+        colors: { I: '#ffffff', O: '#ffea00', T: '#d500f9', S: '#00e676', Z: '#ff1744', J: '#2979ff', L: '#ff9100' }
+    }
+];
+
+export function pieceColor(pieceType, paletteId, shapes = TETROMINOES) {
+    const palette = PALETTES.find(p => p.id === paletteId);
+    return (palette && palette.colors && palette.colors[pieceType]) || shapes[pieceType].color;
+}
+
+// One shape per piece type, as SVG path data in a 10x10 box, so matching
+// never depends on colour alone
+export const GLYPHS = {
+    I: 'M4 1h2v8h-2z',
+    O: 'M5 1.5a3.5 3.5 0 1 1 0 7a3.5 3.5 0 1 1 0-7z',
+    T: 'M5 1.5L9 8.5H1z',
+    S: 'M5 1L9 5L5 9L1 5z',
+    Z: 'M1.5 3L3 1.5L5 3.5L7 1.5L8.5 3L6.5 5L8.5 7L7 8.5L5 6.5L3 8.5L1.5 7L3.5 5z',
+    J: 'M4 1h2v3h3v2h-3v3h-2v-3h-3v-2h3z',
+    L: 'M1.5 1.5h7v7h-7zM3.5 3.5v3h3v-3z'
+};
+
+// Other sets borrow the same glyphs in the order of their types, so only
+// sets of more than seven share one between types
+const GLYPH_ORDER = Object.values(GLYPHS);
+
+export function glyphOf(pieceType, shapes = TETROMINOES) {
+    if (GLYPHS[pieceType]) return GLYPHS[pieceType];
+    const index = Math.max(Object.keys(shapes).indexOf(pieceType), 0);
+    return GLYPH_ORDER[index % GLYPH_ORDER.length];
+}
+
+export const GLYPH_FILL = 'rgba(255, 255, 255, 0.85)';
+export const GLYPH_STROKE = 'rgba(0, 0, 0, 0.6)';
+
+export function glyphSvg(pieceType, shapes = TETROMINOES) {
+    return `<svg viewBox="0 0 10 10"><path d="${glyphOf(pieceType, shapes)}" fill="${GLYPH_FILL}" ` +
+        `stroke="${GLYPH_STROKE}" stroke-width="0.8"/></svg>`;
+}
+
+export const MOTION_MODES = [
+    { id: 'auto', label: 'Auto' },
+    { id: 'reduced', label: 'Reduced' },
+    { id: 'full', label: 'Full' }
+];
+
+// 'auto' follows the system's prefers-reduced-motion
+export function isReducedMotion(mode) {
+    if (mode === 'reduced') return true;
+    if (mode === 'full') return false;
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
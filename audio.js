@@ -0,0 +1,250 @@
+// Procedural sound. GameAudio decides what to play and when: effects for
+// core events and a looping track whose tempo follows the pile. The actual
+// sound comes from a backend, WebAudioBackend in the browser or any object
+// with the same four methods, e.g. a stub that records what it was asked
+// to play.
+//
+// An effect is a list of voices. A voice is a tone ({ wave, freq, to }) or
+// filtered noise ({ noise: true, filter, to }), with duration, gain and an
+// optional delay, all in seconds; to is the frequency it slides towards.
+
+const semitones = (freq, steps) => freq * Math.pow(2, steps / 12);
+
+export const EFFECTS = {
+    spawn: () => [
+        { wave: 'sine', freq: 660, to: 880, duration: 0.06, gain: 0.12 }
+    ],
+    touch: () => [
+        { wave: 'triangle', freq: 140, to: 70, duration: 0.08, gain: 0.25 }
+    ],
+    settle: () => [
+        { noise: true, filter: 900, to: 200, duration: 0.12, gain: 0.25 },
+        { wave: 'sine', freq: 110, to: 80, duration: 0.1, gain: 0.2 }
+    ],
+    // Bigger groups ring higher, up to an octave above a group of three
+    clear: ({ size = 3 } = {}) => {
+        const base = semitones(440, Math.min(Math.max(size - 3, 0) * 2, 12));
+        return [0, 4, 7, 12].map((step, i) => ({
+            wave: 'square', freq: semitones(base, step), duration: 0.12, delay: i * 0.05, gain: 0.08
+        }));
+    },
+    perfectClear: () => [0, 4, 7, 12, 16, 19, 24].map((step, i) => ({
+        wave: 'square', freq: semitones(523.25, step), duration: 0.15, delay: i * 0.06, gain: 0.08
+    })),
+    highScore: () => [
+        { wave: 'triangle', freq: 784, duration: 0.12, gain: 0.2 },
+        { wave: 'triangle', freq: 1046.5, duration: 0.3, delay: 0.12, gain: 0.2 }
+    ],
+    levelUp: () => [
+        { wave: 'sawtooth', freq: 220, to: 880, duration: 0.45, gain: 0.1 },
+        { wave: 'square', freq: 880, duration: 0.2, delay: 0.45, gain: 0.08 }
+    ],
+    gameOver: () => [0, -3, -6, -12].map((step, i) => ({
+        wave: 'triangle', freq: semitones(440, step), duration: 0.3, delay: i * 0.25, gain: 0.25
+    })),
+    danger: () => [0, 0.18].map(delay => ({ wave: 'square', freq: 880, duration: 0.08, delay, gain: 0.08 })),
+    bomb: () => [
+        { noise: true, filter: 3000, to: 100, duration: 0.6, gain: 0.5 },
+        { wave: 'sine', freq: 90, to: 30, duration: 0.5, gain: 0.4 }
+    ]
+};
+
+// Core events that have a sound, and what goes into it
+const EVENT_SOUNDS = {
+    pieceSpawned: 'spawn',
+    pieceTouchedPile: 'touch',
+    pieceSettled: 'settle',
+    groupCleared: 'clear',
+    perfectClear: 'perfectClear',
+    levelUp: 'levelUp',
+    gameOver: 'gameOver',
+    dangerStarted: 'danger',
+    bombExploded: 'bomb'
+};
+
+// One bar of sixteenth notes: bass above A1, lead above A3, null is a rest
+const BASS = [0, null, 0, 12, null, 0, 3, null, 5, null, 5, 17, null, 5, 7, null];
+const LEAD = [12, null, 15, null, 19, null, 15, null, 17, null, 20, null, 24, null, 19, 17];
+const MIN_BPM = 96;
+const MAX_BPM = 168;
+// Notes are scheduled this far ahead, on a timer this often
+const LOOKAHEAD = 0.12;
+const SCHEDULE_MS = 25;
+
+export const DEFAULT_VOLUMES = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+
+export class GameAudio {
+    constructor(backend) {
+        this.backend = backend;
+        this.volumes = { ...DEFAULT_VOLUMES };
+        this.bpm = MIN_BPM;
+        this.musicOn = false;
+        this.nextNoteTime = 0;
+        this.step = 0;
+        this.timer = null;
+    }
+
+    setVolumes(volumes) {
+        this.volumes = { ...DEFAULT_VOLUMES, ...volumes };
+        this.backend.setVolumes(this.volumes);
+        this.updateTimer();
+    }
+
+    // Browsers only allow sound after the player has interacted with the page
+    unlock() {
+        this.backend.resume();
+    }
+
+    play(name, params = {}) {
+        const effect = EFFECTS[name];
+        if (!effect || this.volumes.muted || this.volumes.sfx <= 0) return;
+        this.backend.play(effect(params), 'sfx', this.backend.currentTime());
+    }
+
+    handleEvent(event) {
+        const name = EVENT_SOUNDS[event.type];
+        if (name) this.play(name, event);
+    }
+
+    // Same 0-100 value as the pile meter
+    setPileLevel(percent) {
+        this.bpm = MIN_BPM + (MAX_BPM - MIN_BPM) * Math.min(Math.max(percent, 0), 100) / 100;
+    }
+
+    startMusic() {
+        if (this.musicOn) return;
+        this.musicOn = true;
+        this.step = 0;
+        this.nextNoteTime = this.backend.currentTime();
+        this.updateTimer();
+    }
+
+    stopMusic() {
+        this.musicOn = false;
+        this.updateTimer();
+    }
+
+    // The sequencer only runs while the track can be heard
+    updateTimer() {
+        const audible = this.musicOn && !this.volumes.muted && this.volumes.music > 0;
+        if (audible && this.timer === null) {
+            this.nextNoteTime = Math.max(this.nextNoteTime, this.backend.currentTime());
+            this.timer = setInterval(() => this.scheduleMusic(), SCHEDULE_MS);
+        } else if (!audible && this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Queues every note that starts within the lookahead window; tempo
+    // changes take effect from the next note
+    scheduleMusic() {
+        const until = this.backend.currentTime() + LOOKAHEAD;
+        while (this.nextNoteTime < until) {
+            const stepLength = 60 / this.bpm / 4;
+            const voices = [];
+            const bass = BASS[this.step];
+            const lead = LEAD[this.step];
+            if (bass !== null) voices.push({ wave: 'triangle', freq: semitones(55, bass), duration: stepLength * 0.9, gain: 0.3 });
+            if (lead !== null) voices.push({ wave: 'square', freq: semitones(220, lead), duration: stepLength * 0.5, gain: 0.05 });
+            if (voices.length > 0) this.backend.play(voices, 'music', this.nextNoteTime);
+
+            this.nextNoteTime += stepLength;
+            this.step = (this.step + 1) % BASS.length;
+        }
+    }
+}
+
+// Web Audio output: one gain per bus into a master gain. The context is
+// created on first use and stays silent until resume() after a gesture.
+export class WebAudioBackend {
+    constructor() {
+        this.context = null;
+        this.buses = null;
+        this.noiseBuffer = null;
+        this.volumes = { ...DEFAULT_VOLUMES };
+    }
+
+    ensureContext() {
+        if (this.context) return this.context;
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return null;
+
+        const context = new AudioContext();
+        const master = context.createGain();
+        master.connect(context.destination);
+        this.buses = { master, sfx: context.createGain(), music: context.createGain() };
+        this.buses.sfx.connect(master);
+        this.buses.music.connect(master);
+
+        // A second of white noise, reused by every noise voice
+        this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+        this.context = context;
+        this.applyVolumes();
+        return context;
+    }
+
+    resume() {
+        const context = this.ensureContext();
+        if (context && context.state === 'suspended') context.resume();
+    }
+
+    currentTime() {
+        return this.context ? this.context.currentTime : 0;
+    }
+
+    setVolumes(volumes) {
+        this.volumes = volumes;
+        if (this.context) this.applyVolumes();
+    }
+
+    applyVolumes() {
+        const { master, sfx, music, muted } = this.volumes;
+        const now = this.context.currentTime;
+        this.buses.master.gain.setTargetAtTime(muted ? 0 : master, now, 0.02);
+        this.buses.sfx.gain.setTargetAtTime(sfx, now, 0.02);
+        this.buses.music.gain.setTargetAtTime(music, now, 0.02);
+    }
+
+    play(voices, bus, when) {
+        const context = this.context;
+        if (!context || context.state !== 'running') return;
+
+        voices.forEach(voice => {
+            const start = Math.max(when, context.currentTime) + (voice.delay || 0);
+            const end = start + voice.duration;
+
+            // Quick attack, exponential decay to silence
+            const envelope = context.createGain();
+            envelope.gain.setValueAtTime(0.0001, start);
+            envelope.gain.exponentialRampToValueAtTime(voice.gain, start + 0.005);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+            envelope.connect(this.buses[bus]);
+
+            let source;
+            if (voice.noise) {
+                source = context.createBufferSource();
+                source.buffer = this.noiseBuffer;
+                source.loop = true;
+                const filter = context.createBiquadFilter();
+                filter.type = 'lowpass';
+                filter.frequency.setValueAtTime(voice.filter, start);
+                if (voice.to) filter.frequency.exponentialRampToValueAtTime(voice.to, end);
+                source.connect(filter);
+                filter.connect(envelope);
+            } else {
+                source = context.createOscillator();
+                source.type = voice.wave;
+                source.frequency.setValueAtTime(voice.freq, start);
+                if (voice.to) source.frequency.exponentialRampToValueAtTime(voice.to, end);
+                source.connect(envelope);
+            }
+
+            source.start(start);
+            source.stop(end + 0.02);
+        });
+    }
+}
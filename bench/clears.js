@@ -0,0 +1,70 @@
+// Compares the old flood fill with the spatial-hash grouping on big piles.
+// Run with: npm run bench
+import Matter from 'matter-js';
+import { FrustrisCore, STEP_MS } from '../game-core.js';
+import { findGroups, findGroupsFlood } from '../groups.js';
+import { TETROMINOES } from '../tetrominoes.js';
+import { createRng } from '../random.js';
+
+const { Engine, Body, Composite } = Matter;
+
+const PILE_SIZES = [200, 300, 400];
+const RUNS = 20;
+
+// Drops pieces into a wide well in batches and lets them come to rest
+function buildPile(count, seed, types) {
+    const core = new FrustrisCore({ seed, width: 900, height: 1400 });
+    const rng = createRng(seed);
+
+    for (let dropped = 0; dropped < count;) {
+        const batch = Math.min(20, count - dropped);
+        for (let i = 0; i < batch; i++) {
+            const piece = core.buildPiece(rng.pick(types));
+            Body.setPosition(piece, { x: 40 + rng.next() * 820, y: -60 * (i % 4) - 40 });
+            Body.setAngle(piece, rng.int(4) * Math.PI / 2);
+            piece.label = 'settled';
+            Composite.add(core.engine.world, piece);
+        }
+        dropped += batch;
+        for (let t = 0; t < 150; t++) Engine.update(core.engine, STEP_MS);
+    }
+
+    const byType = {};
+    Composite.allBodies(core.engine.world)
+        .filter(b => b.label === 'settled' && b.parent === b)
+        .forEach(b => {
+            if (!byType[b.pieceType]) byType[b.pieceType] = [];
+            byType[b.pieceType].push(b);
+        });
+    return byType;
+}
+
+const describe = (groups) => groups
+    .map(g => g.pieceType + ':' + g.pieces.map(p => p.id).sort((a, b) => a - b).join(','))
+    .sort()
+    .join('|');
+
+function time(fn, byType) {
+    const start = performance.now();
+    for (let i = 0; i < RUNS; i++) fn(byType, 3);
+    return (performance.now() - start) / RUNS;
+}
+
+// Mixed piles, plus single-type ones where every pair gets compared
+const CASES = [
+    ...PILE_SIZES.map(size => ({ size, types: Object.keys(TETROMINOES), name: 'mixed' })),
+    ...PILE_SIZES.map(size => ({ size, types: ['O'], name: 'one type' }))
+];
+
+CASES.forEach(({ size, types, name }, index) => {
+    const byType = buildPile(size, index + 1, types);
+    const same = describe(findGroupsFlood(byType, 1)) === describe(findGroups(byType, 1));
+    const flood = time(findGroupsFlood, byType);
+    const hashed = time(findGroups, byType);
+
+    console.log(
+        `${size} pieces, ${name}: flood fill ${flood.toFixed(2)} ms, ` +
+        `spatial hash ${hashed.toFixed(2)} ms (${(flood / hashed).toFixed(1)}x), ` +
+        `groups ${same ? 'identical' : 'DIFFER'}`
+    );
+});
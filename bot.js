@@ -0,0 +1,155 @@
+import { TETROMINOES, BLOCK_SIZE } from './tetrominoes.js';
+import { FrustrisCore, emptyInput } from './game-core.js';
+
+// An agent is any object with choose(view) -> { x, angle, drop }.
+// It is asked once per spawn; BotController then steers the piece there
+// using the same inputs a player would press.
+
+// Give up steering and let the piece fall if the target can't be reached
+const MAX_STEER_TICKS = 240;
+
+const normalizeAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+// Block offsets of a piece type around its centre of mass, rotated by angle
+export function pieceOffsets(pieceType, angle, shapes = TETROMINOES) {
+    const shape = shapes[pieceType].shape;
+    const cx = shape.reduce((sum, p) => sum + p[0], 0) / shape.length;
+    const cy = shape.reduce((sum, p) => sum + p[1], 0) / shape.length;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return shape.map(([sx, sy]) => {
+        const x = (sx - cx) * BLOCK_SIZE;
+        const y = (sy - cy) * BLOCK_SIZE;
+        return { x: x * cos - y * sin, y: x * sin + y * cos };
+    });
+}
+
+export class BotController {
+    constructor(agent) {
+        this.agent = agent;
+        this.target = null;
+    }
+
+    // What the agent gets to see: the pile, the active and next piece types
+    // and the shapes of the set they come from
+    onSpawn(core) {
+        const state = core.getState();
+        this.target = this.agent.choose({
+            pile: state.pile,
+            activePieceType: state.activePiece.pieceType,
+            nextPieceType: state.nextPieceType,
+            queue: state.queue,
+            shapes: core.shapes,
+            minToClear: state.minToClear,
+            width: core.width,
+            height: core.height
+        });
+        this.spawnTick = core.tick;
+    }
+
+    getInput(core) {
+        const input = emptyInput();
+        const piece = core.activePiece;
+        if (!piece || !this.target) return input;
+
+        const dx = this.target.x - piece.position.x;
+        const da = normalizeAngle(this.target.angle - piece.angle);
+
+        if (dx > core.moveSpeed) input.right = true;
+        else if (dx < -core.moveSpeed) input.left = true;
+        else input.moveX = Math.round(dx * 100) / 100;
+
+        if (da > core.rotateSpeed) input.rotateRight = true;
+        else if (da < -core.rotateSpeed) input.rotateLeft = true;
+        else input.rotate = Math.round(da * 10000) / 10000;
+
+        const aligned = Math.abs(dx) < 2 && Math.abs(da) < 0.05;
+        const timedOut = core.tick - this.spawnTick > MAX_STEER_TICKS;
+        if (this.target.drop && (aligned || timedOut)) input.hardDrop = true;
+
+        return input;
+    }
+}
+
+// Looks for the spot where the piece lands next to the most blocks of its
+// own type, preferring low landings so the pile stays flat
+export class HeuristicBot {
+    constructor({ angles = [0, Math.PI / 2, Math.PI, Math.PI * 1.5], stepX = BLOCK_SIZE / 2 } = {}) {
+        this.name = 'Heuristic';
+        this.angles = angles;
+        this.stepX = stepX;
+    }
+
+    choose(view) {
+        const pileBlocks = [];
+        view.pile.forEach(piece => {
+            piece.blocks.forEach(b => pileBlocks.push({ x: b.x, y: b.y, pieceType: piece.pieceType }));
+        });
+
+        let best = { x: view.width / 2, angle: 0, drop: true, score: -Infinity };
+
+        this.angles.forEach(angle => {
+            const offsets = pieceOffsets(view.activePieceType, angle, view.shapes);
+            const minOx = Math.min(...offsets.map(o => o.x));
+            const maxOx = Math.max(...offsets.map(o => o.x));
+
+            for (let x = BLOCK_SIZE / 2 - minOx; x <= view.width - BLOCK_SIZE / 2 - maxOx; x += this.stepX) {
+                const score = this.evaluate(view, pileBlocks, offsets, x);
+                if (score > best.score) best = { x, angle, drop: true, score };
+            }
+        });
+
+        return { x: best.x, angle: best.angle, drop: best.drop };
+    }
+
+    evaluate(view, pileBlocks, offsets, x) {
+        // Drop straight down: the piece rests on the highest surface under any block
+        let centreY = Infinity;
+        offsets.forEach(o => {
+            const bx = x + o.x;
+            let surface = view.height;
+            pileBlocks.forEach(b => {
+                if (Math.abs(b.x - bx) < BLOCK_SIZE && b.y < surface + BLOCK_SIZE / 2) {
+                    surface = Math.min(surface, b.y - BLOCK_SIZE / 2);
+                }
+            });
+            centreY = Math.min(centreY, surface - BLOCK_SIZE / 2 - o.y);
+        });
+
+        let sameNeighbours = 0;
+        let otherNeighbours = 0;
+        const reach = BLOCK_SIZE * 1.5;
+
+        pileBlocks.forEach(b => {
+            const touches = offsets.some(o => Math.hypot(b.x - (x + o.x), b.y - (centreY + o.y)) < reach);
+            if (!touches) return;
+            if (b.pieceType === view.activePieceType) sameNeighbours++;
+            else otherNeighbours++;
+        });
+
+        const landingHeight = view.height - centreY;
+        return sameNeighbours * 10 - otherNeighbours * 2 - landingHeight * 0.05;
+    }
+}
+
+// Plays one headless game and summarises it; handy for balance testing
+export function runBotGame(agent, { seed = 0, maxTicks = 60 * 60 * 10 } = {}) {
+    const core = new FrustrisCore({ seed });
+    const bot = new BotController(agent);
+    const summary = { seed, clears: 0, clearedPieces: 0, levels: {} };
+
+    while (!core.isGameOver && core.tick < maxTicks) {
+        const events = core.step(bot.getInput(core));
+        events.forEach(event => {
+            if (event.type === 'pieceSpawned') bot.onSpawn(core);
+            if (event.type === 'groupCleared') {
+                summary.clears++;
+                summary.clearedPieces += event.size;
+            }
+            if (event.type === 'levelUp') summary.levels[event.level] = event.tick;
+        });
+    }
+
+    return { ...summary, score: core.score, level: core.currentLevel, ticks: core.tick, isGameOver: core.isGameOver };
+}
@@ -0,0 +1,55 @@
+// Every event a game passes on, with the fields each one carries besides
+// type and tick. These are the core's own events (see game-core.js).
+export const GAME_EVENTS = {
+    pieceSpawned: ['pieceType', 'material', 'nextPieceType', 'queue'],
+    pieceHeld: ['pieceType'],
+    pieceTouchedPile: ['pieceType'],
+    pieceHardDropped: ['pieceType'],
+    pieceSettled: ['pieceType', 'material', 'x', 'y'],
+    // groups: [{ pieceType, size, points, bonus, x, y, pieces }]
+    groupCleared: ['groups', 'size', 'points', 'chain', 'chainMultiplier', 'combo'],
+    perfectClear: ['points'],
+    levelUp: ['level', 'minToClear', 'splash'],
+    scoreChanged: ['score', 'delta'],
+    gameOver: ['score', 'level', 'reason', 'ticks'],
+    bombExploded: ['x', 'y', 'radius', 'size', 'points', 'pieces'],
+    pieceGlued: ['count'],
+    garbageDropped: ['count'],
+    dangerStarted: ['ticks'],
+    dangerCleared: [],
+    pileCleared: ['size']
+};
+
+const isGameEvent = (type) => Object.prototype.hasOwnProperty.call(GAME_EVENTS, type);
+
+// Subscriptions by event type. Only the types above exist, so a typo
+// throws instead of quietly never firing. A handler that throws is logged
+// and doesn't stop the others, or the game.
+export class EventBus {
+    constructor() {
+        this.handlers = {};
+    }
+
+    // Returns a function that unsubscribes again
+    on(type, handler) {
+        if (!isGameEvent(type)) throw new Error(`Unknown game event: ${type}`);
+        if (!this.handlers[type]) this.handlers[type] = new Set();
+        this.handlers[type].add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        if (this.handlers[type]) this.handlers[type].delete(handler);
+    }
+
+    emit(event) {
+        if (!isGameEvent(event.type)) throw new Error(`Unknown game event: ${event.type}`);
+        (this.handlers[event.type] || new Set()).forEach(handler => {
+            try {
+                handler(event);
+            } catch (err) {
+                console.error(err);
+            }
+        });
+    }
+}
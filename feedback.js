@@ -0,0 +1,44 @@
+// Shouts and screen shake for clears and bombs, as a plugin on the game's
+// event bus. It only needs the game's container, its run timers and
+// showSpecialBonus.
+const SHOUTOUTS = [
+    'Yeeha!', 'Dope!', 'Yeah!', 'That\'s right!',
+    'Awesome!', 'Slick!', 'Clean!', 'Wicked!',
+    'Stellar!', 'Bam!', 'Kaboom!', 'Noice!',
+    'Radical!', 'Superb!', 'Unstoppable!'
+];
+
+function screenShake(game, magnitude = 5) {
+    if (game.isSeeking || game.reducedMotion) return;
+    let count = 0;
+    const shake = () => {
+        if (count++ > 10) {
+            game.container.style.transform = '';
+            return;
+        }
+        const x = (Math.random() - 0.5) * magnitude;
+        const y = (Math.random() - 0.5) * magnitude;
+        game.container.style.transform = `translate(${x}px, ${y}px)`;
+        game.later(shake, 30);
+    };
+    shake();
+}
+
+export const feedbackPlugin = {
+    id: 'feedback',
+    events: {
+        groupCleared(event, game) {
+            screenShake(game, 12);
+            if (event.chain > 1) game.showSpecialBonus(`x${event.chain} CHAIN!`);
+            else if (event.combo > 1) game.showSpecialBonus(`${event.combo} COMBO!`);
+            else game.showSpecialBonus(SHOUTOUTS[Math.floor(Math.random() * SHOUTOUTS.length)]);
+        },
+        perfectClear(event, game) {
+            game.showSpecialBonus('PERFECT CLEAR!');
+        },
+        bombExploded(event, game) {
+            screenShake(game, 20);
+            game.showSpecialBonus(event.size > 0 ? `BOOM! +${event.points}` : 'BOOM!');
+        }
+    }
+};
@@ -0,0 +1,963 @@
+import Matter from 'matter-js';
+import { TETROMINOES, BLOCK_SIZE } from './tetrominoes.js';
+import { createRng } from './random.js';
+import { createRandomizer } from './randomizers.js';
+import { LEVELS } from './levels.js';
+import { findGroups, blocksOf } from './groups.js';
+import { MATERIALS, rollMaterial } from './materials.js';
+import { modeDefinition } from './modes.js';
+import { goalTarget, goalProgress } from './puzzles.js';
+import { RunStats } from './stats.js';
+
+// Alias
+const { Engine, Bodies, Composite, Body, Vector, Sleeping, Constraint } = Matter;
+
+// Fixed simulation step; all game timers count ticks of this length
+export const STEP_MS = 1000 / 60;
+export const msToTicks = (ms) => Math.round(ms / STEP_MS);
+
+const SPAWN_DELAY_TICKS = msToTicks(300);
+const IDLE_SPAWN_TICKS = msToTicks(800);
+const STUCK_TICKS = msToTicks(1500);
+
+// A resting block above the death line starts the countdown; the run only
+// ends if the pile is still over it when the countdown runs out
+export const DANGER_TICKS = msToTicks(3000);
+
+// The pixel rules of a well. They were tuned on a 400x700 well: heights
+// scale with the well's height, while the edge margins stay in blocks since
+// pieces are the same size in every well.
+const TUNED_HEIGHT = 700;
+
+export function wellRules(width, height) {
+    const y = (px) => px * height / TUNED_HEIGHT;
+    return {
+        spawn: { x: width / 2, y: y(50) },
+        deathLineY: y(160),
+        // Below this a piece counts as landed; above stuckY one that stops moving is left where it is
+        bottomY: height - y(100),
+        stuckY: y(200),
+        // A full pile meter
+        pileHeight: height * 0.8,
+        // How close to a wall the active piece's centre may get, moving and dragged
+        edge: BLOCK_SIZE / 2,
+        dragEdge: BLOCK_SIZE * 2 / 3
+    };
+}
+
+// Each cascade link adds half the base score again; each piece in an
+// unbroken run of clearing pieces adds a flat bonus
+const CHAIN_STEP = 0.5;
+const COMBO_BONUS = 50;
+const SETTLE_POINTS = 10;
+const PERFECT_CLEAR_BONUS = 1000;
+
+export const GARBAGE_COLOR = '#4a4a58';
+
+// Deep copy keeping prototypes and shared references, for fork(). Functions
+// are kept as they are; anything in seen is reused instead of copied.
+function cloneGraph(value, seen) {
+    if (value === null || typeof value !== 'object') return value;
+    if (seen.has(value)) return seen.get(value);
+    const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+    seen.set(value, copy);
+    Object.keys(value).forEach(key => copy[key] = cloneGraph(value[key], seen));
+    return copy;
+}
+
+// Held actions for one tick, plus the drag deltas that arrived during it
+export const ACTIONS = ['left', 'right', 'softDrop', 'rotateLeft', 'rotateRight', 'hardDrop', 'hold'];
+
+export function emptyInput() {
+    return {
+        left: false,
+        right: false,
+        softDrop: false,
+        rotateLeft: false,
+        rotateRight: false,
+        hardDrop: false,
+        hold: false,
+        moveX: 0,
+        rotate: 0
+    };
+}
+
+// The simulation without any DOM: engine, spawning, settling, clears,
+// scoring and levels. Call step() once per tick; it returns the events
+// that happened during that tick.
+//
+// hooks let plugins change the rules: score(points, context) returns the
+// points to award instead, nextPiece(type, context) the type to queue
+// instead. They aren't part of the options, so a replay only plays back
+// the same way with the same plugins.
+export class FrustrisCore {
+    constructor({
+        seed = 0, width = 400, height = 700, handling = {}, randomizer = 'uniform', previewCount = 3, levels = LEVELS,
+        materialRate = 0, mode = 'endless', puzzle = null, shapes = TETROMINOES, day = null
+    } = {}, hooks = {}) {
+        // day is only passed through: the date a daily run belongs to
+        this.options = { seed, width, height, handling, randomizer, previewCount, levels, materialRate, mode, puzzle, shapes, day };
+        this.hooks = hooks;
+        this.seed = seed >>> 0;
+        this.rng = createRng(this.seed);
+        this.width = width;
+        this.height = height;
+        this.rules = wellRules(width, height);
+        this.moveSpeed = handling.moveSpeed ?? 6;
+        this.rotateSpeed = handling.rotateSpeed ?? 0.08;
+
+        this.mode = modeDefinition(mode);
+        this.timeLimitTicks = this.mode.timeLimitMs ? msToTicks(this.mode.timeLimitMs) : null;
+        this.groupsCleared = 0;
+        // A puzzle starts with its own pile and ends once its goal is met
+        this.puzzle = puzzle;
+        this.puzzleProgress = 0;
+
+        this.score = 0;
+        this.levels = levels;
+        this.currentLevel = levels[0].level;
+        this.isGameOver = false;
+        this.activePiece = null;
+        this.isTouchingPile = false;
+        this.wasMoving = false;
+        this.pilePercent = 0;
+        this.tick = 0;
+        this.lastActionTick = 0;
+        this.pendingSpawnTick = null;
+        this.pendingGarbage = 0;
+        this.dangerTick = null;
+        // Clears since the last spawn, and pieces in a row that cleared something
+        this.chain = 0;
+        this.combo = 0;
+        this.events = [];
+        this.stats = new RunStats();
+
+        // Separate stream so incoming garbage never shifts the piece sequence
+        this.garbageRng = createRng(this.seed ^ 0x9E3779B9);
+        this.materialRng = createRng(this.seed ^ 0x85EBCA6B);
+        this.materialRate = materialRate;
+
+        this.initPhysics();
+        this.applyLevel(levels[0]);
+
+        // The piece set: shape and colour per type, TETROMINOES unless chosen otherwise
+        this.shapes = shapes;
+        this.allTypes = Object.keys(shapes);
+        this.randomizer = this.buildRandomizer();
+        this.previewCount = previewCount;
+        this.queue = [];
+        this.fillQueue();
+
+        this.heldPieceType = null;
+        this.canHold = true;
+    }
+
+    buildRandomizer() {
+        const { randomizer, puzzle } = this.options;
+        return createRandomizer(randomizer, this.rng, () => this.allowedTypes(), {
+            pileCounts: () => this.countPileTypes(),
+            sequence: puzzle ? puzzle.sequence : []
+        });
+    }
+
+    // A level's piece list only applies to the types this set has
+    allowedTypes() {
+        const allowed = this.level.pieces && this.level.pieces.filter(type => this.shapes[type]);
+        return allowed && allowed.length > 0 ? allowed : this.allTypes;
+    }
+
+    get nextPieceType() {
+        return this.queue[0];
+    }
+
+    fillQueue() {
+        while (this.queue.length < this.previewCount) {
+            const type = this.randomizer.next();
+            // A puzzle's sequence runs dry
+            if (!type) break;
+            this.queue.push(this.chooseType(type));
+        }
+    }
+
+    // A nextPiece hook can swap the randomizer's pick for any type in the set
+    chooseType(type) {
+        if (!this.hooks.nextPiece) return type;
+        const chosen = this.hooks.nextPiece(type, { queue: [...this.queue], types: this.allowedTypes(), tick: this.tick });
+        return this.shapes[chosen] ? chosen : type;
+    }
+
+    countPileTypes() {
+        const counts = {};
+        this.getSettledBodies().forEach(b => {
+            if (b.pieceType) counts[b.pieceType] = (counts[b.pieceType] || 0) + 1;
+        });
+        return counts;
+    }
+
+    initPhysics() {
+        this.engine = Engine.create({
+            gravity: { y: 0.3 },
+            positionIterations: 6,
+            velocityIterations: 6,
+            enableSleeping: true
+        });
+
+        const wallOptions = {
+            isStatic: true,
+            render: { fillStyle: 'transparent' },
+            friction: 0.5,
+            restitution: 0.1
+        };
+        const ground = Bodies.rectangle(this.width / 2, this.height + 250, this.width * 2, 500, wallOptions);
+        const leftWall = Bodies.rectangle(-250, this.height / 2, 500, this.height * 2, wallOptions);
+        const rightWall = Bodies.rectangle(this.width + 250, this.height / 2, 500, this.height * 2, wallOptions);
+
+        Composite.add(this.engine.world, [ground, leftWall, rightWall]);
+    }
+
+    step(input = emptyInput()) {
+        // The first piece drops in on the very first tick
+        if (this.tick === 0 && !this.activePiece) {
+            if (this.puzzle) this.buildPuzzlePile();
+            this.spawnPiece();
+        }
+
+        this.handleInput(input);
+        Engine.update(this.engine, STEP_MS);
+        this.tick++;
+        this.checkSettle();
+        this.checkGoal();
+        if (!this.isGameOver) this.stats.sample(this.currentLevel, this.pilePercent);
+
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    emit(type, data = {}) {
+        const event = { type, tick: this.tick, ...data };
+        this.events.push(event);
+        this.stats.handleEvent(event, this.currentLevel);
+    }
+
+    spawnPiece() {
+        if (this.isGameOver || this.activePiece) return;
+
+        // Out of puzzle pieces, bar one in the hold. Wait for the pile to
+        // come to rest, since a late collapse can still clear something.
+        if (this.queue.length === 0 && !this.heldPieceType) {
+            if (!this.wasMoving) this.triggerGameOver('outOfPieces');
+            return;
+        }
+        this.pendingSpawnTick = null;
+
+        // The streak breaks on a piece that cleared nothing
+        if (this.chain === 0) this.combo = 0;
+        this.chain = 0;
+
+        if (this.queue.length === 0) {
+            const type = this.heldPieceType;
+            this.heldPieceType = null;
+            this.createPiece(type);
+            return;
+        }
+        const type = this.queue.shift();
+        this.fillQueue();
+        this.createPiece(type);
+    }
+
+    createPiece(type) {
+        const material = rollMaterial(this.materialRng, this.materialRate);
+        this.activePiece = this.buildPiece(type, material);
+        const { spawn } = this.rules;
+        Body.setPosition(this.activePiece, { ...spawn });
+        this.activePiece.label = 'active';
+        this.activePiece.spawnTick = this.tick;
+        this.activePiece.lastPos = { ...spawn };
+        this.activePiece.lastMoveTick = this.tick;
+        this.isTouchingPile = false;
+        this.lastActionTick = this.tick;
+
+        Composite.add(this.engine.world, this.activePiece);
+        this.emit('pieceSpawned', {
+            pieceType: type, material, nextPieceType: this.nextPieceType, queue: [...this.queue]
+        });
+    }
+
+    buildPuzzlePile() {
+        const pile = this.puzzle.pile.map(({ type, x, y, angle }) => {
+            const piece = this.buildPiece(type);
+            Body.setPosition(piece, { x, y });
+            Body.setAngle(piece, angle);
+            piece.label = 'settled';
+            return piece;
+        });
+        Composite.add(this.engine.world, pile);
+    }
+
+    buildPiece(type, material = null) {
+        const data = this.shapes[type];
+        const special = material ? MATERIALS[material] : null;
+
+        const parts = data.shape.map(pos => {
+            return Bodies.rectangle(
+                pos[0] * BLOCK_SIZE,
+                pos[1] * BLOCK_SIZE,
+                BLOCK_SIZE - 2,
+                BLOCK_SIZE - 2,
+                {
+                    render: { fillStyle: data.color, ...(special && special.style) },
+                    chamfer: { radius: 4 },
+                    sleepThreshold: 30,
+                    // Mass comes from the parts, so density has to go here
+                    ...(special && special.body)
+                }
+            );
+        });
+
+        const piece = Body.create({
+            parts: parts,
+            friction: this.level.friction,
+            restitution: this.level.restitution,
+            ...(special && special.body)
+        });
+
+        piece.pieceType = type;
+        piece.material = material;
+        return piece;
+    }
+
+    // Swap the active piece into the hold slot, once per drop
+    holdPiece() {
+        if (!this.activePiece || !this.canHold) return;
+        // Nothing to swap in at the end of a puzzle sequence
+        if (!this.heldPieceType && this.queue.length === 0) return;
+
+        const type = this.activePiece.pieceType;
+        Composite.remove(this.engine.world, this.activePiece);
+        this.activePiece = null;
+        this.canHold = false;
+
+        const swapIn = this.heldPieceType;
+        this.heldPieceType = type;
+        this.emit('pieceHeld', { pieceType: type });
+
+        if (swapIn) {
+            this.createPiece(swapIn);
+        } else {
+            const next = this.queue.shift();
+            this.fillQueue();
+            this.createPiece(next);
+        }
+    }
+
+    handleInput(input) {
+        if (!this.activePiece || this.isGameOver) return;
+
+        if (input.hold) this.holdPiece();
+
+        const moveSpeed = this.moveSpeed;
+        const rotateSpeed = this.rotateSpeed;
+        let vx = 0;
+
+        if (input.moveX !== 0) {
+            const newX = this.activePiece.position.x + input.moveX;
+            const { dragEdge } = this.rules;
+            const clampedX = Math.max(dragEdge, Math.min(this.width - dragEdge, newX));
+            Body.setPosition(this.activePiece, { x: clampedX, y: this.activePiece.position.y });
+        }
+        if (input.rotate !== 0) Body.rotate(this.activePiece, input.rotate);
+
+        if (input.left) vx = -moveSpeed;
+        if (input.right) vx = moveSpeed;
+
+        Body.setVelocity(this.activePiece, { x: vx, y: this.activePiece.velocity.y });
+
+        if (input.rotateLeft) Body.rotate(this.activePiece, -rotateSpeed);
+        if (input.rotateRight) Body.rotate(this.activePiece, rotateSpeed);
+        if (input.softDrop) Body.setVelocity(this.activePiece, { x: this.activePiece.velocity.x, y: 8 });
+
+        if (input.hardDrop) {
+            // Held or repeated, it's one drop per piece
+            if (!this.activePiece.hardDropped) {
+                this.activePiece.hardDropped = true;
+                this.emit('pieceHardDropped', { pieceType: this.activePiece.pieceType });
+            }
+            if (!this.isTouchingPile) {
+                Body.setVelocity(this.activePiece, { x: this.activePiece.velocity.x, y: 15 });
+            } else {
+                Body.setVelocity(this.activePiece, { x: this.activePiece.velocity.x, y: 0.01 });
+            }
+        }
+
+        const pos = this.activePiece.position;
+        const { edge } = this.rules;
+        if (pos.x < edge) Body.setPosition(this.activePiece, { x: edge, y: pos.y });
+        if (pos.x > this.width - edge) Body.setPosition(this.activePiece, { x: this.width - edge, y: pos.y });
+    }
+
+    checkSettle() {
+        if (this.isGameOver) return;
+
+        const now = this.tick;
+
+        if (this.activePiece) {
+            const bodies = this.engine.world.bodies;
+            const obstacles = [];
+            for (let i = 0; i < bodies.length; i++) {
+                if (bodies[i].label === 'settled' || bodies[i].label === 'ground') {
+                    obstacles.push(bodies[i]);
+                }
+            }
+
+            const isTouching = Matter.Query.collides(this.activePiece, obstacles).length > 0;
+            if (isTouching && !this.isTouchingPile) {
+                this.emit('pieceTouchedPile', { pieceType: this.activePiece.pieceType });
+            }
+            this.isTouchingPile = isTouching;
+
+            const speed = this.activePiece.speed;
+            const pos = this.activePiece.position;
+
+            const distMoved = Vector.magnitude(Vector.sub(pos, this.activePiece.lastPos));
+            if (distMoved > 2) {
+                this.activePiece.lastPos = { x: pos.x, y: pos.y };
+                this.activePiece.lastMoveTick = now;
+            }
+            const ticksStagnant = now - this.activePiece.lastMoveTick;
+
+            const isStuck = ticksStagnant > STUCK_TICKS && pos.y > this.rules.stuckY;
+            const atBottom = pos.y > this.rules.bottomY;
+
+            if ((speed < 1.2 && isTouching) || atBottom || isStuck) {
+                const piece = this.activePiece;
+                piece.label = 'settled';
+                this.activePiece = null;
+                this.canHold = true;
+                this.lastActionTick = now;
+                this.emit('pieceSettled', {
+                    pieceType: piece.pieceType, material: piece.material, x: piece.position.x, y: piece.position.y
+                });
+                this.addScore(this.scorePoints(SETTLE_POINTS, { source: 'settle', pieceType: piece.pieceType }));
+                if (piece.material === 'glue') this.applyGlue(piece);
+                if (piece.material === 'bomb') this.detonate(piece);
+                this.checkClears();
+                this.dropGarbage();
+                // After a clear the next piece waits for the pile to calm
+                // down, so a collapse can still chain
+                this.pendingSpawnTick = this.chain > 0 ? null : now + SPAWN_DELAY_TICKS;
+            }
+        }
+
+        const bodies = Composite.allBodies(this.engine.world);
+        let movingCount = 0;
+        let minY = this.height;
+
+        for (let i = 0; i < bodies.length; i++) {
+            const b = bodies[i];
+            if (b.label === 'settled') {
+                if (b.speed > 1.5) movingCount++;
+                if (b.position.y < minY) minY = b.position.y;
+            }
+        }
+
+        const anyMoving = movingCount > 0;
+
+        if (this.wasMoving && !anyMoving) {
+            this.checkClears();
+            this.lastActionTick = now;
+        }
+        this.wasMoving = anyMoving;
+
+        const heightOfPile = this.height - minY;
+        this.pilePercent = Math.max(0, Math.min(100, (heightOfPile / this.rules.pileHeight) * 100));
+
+        this.checkDanger();
+        if (this.isGameOver) return;
+
+        const spawnDue = this.pendingSpawnTick !== null && now >= this.pendingSpawnTick;
+        if (!this.activePiece && (spawnDue || (!anyMoving && now - this.lastActionTick > IDLE_SPAWN_TICKS))) {
+            this.spawnPiece();
+        }
+    }
+
+    // Blocks above the death line, counting only resting ones if atRest
+    isPileOverLine(atRest) {
+        return this.getSettledBodies().some(b =>
+            (!atRest || b.speed < 0.5) && blocksOf(b).some(part => part.position.y < this.rules.deathLineY)
+        );
+    }
+
+    // A resting block over the line starts the countdown; only the pile
+    // settling or clearing back below it cancels it, not a bit of jitter
+    checkDanger() {
+        if (this.dangerTick === null && this.isPileOverLine(true)) {
+            this.dangerTick = this.tick;
+            this.emit('dangerStarted', { ticks: DANGER_TICKS });
+        } else if (this.dangerTick !== null && !this.isPileOverLine(false)) {
+            this.dangerTick = null;
+            this.emit('dangerCleared');
+        }
+
+        if (this.dangerTicksLeft() !== 0) return;
+        if (this.mode.noGameOver) this.clearPile();
+        else this.triggerGameOver('topOut');
+    }
+
+    // Zen mode's way out of a full well
+    clearPile() {
+        const settled = this.getSettledBodies();
+        this.removeBodies(settled);
+        this.dangerTick = null;
+        this.wasMoving = false;
+        this.emit('pileCleared', { size: settled.length });
+    }
+
+    // Sprint and puzzles end at their goal, Ultra when time is up
+    checkGoal() {
+        if (this.isGameOver) return;
+        if (this.puzzle && this.puzzleProgress >= goalTarget(this.puzzle.goal)) {
+            this.triggerGameOver('goal');
+        } else if (this.mode.goalGroups && this.groupsCleared >= this.mode.goalGroups) {
+            this.triggerGameOver('goal');
+        } else if (this.timeLimitTicks !== null && this.tick >= this.timeLimitTicks) {
+            this.triggerGameOver('timeUp');
+        }
+    }
+
+    timeLeftTicks() {
+        return this.timeLimitTicks === null ? null : Math.max(0, this.timeLimitTicks - this.tick);
+    }
+
+    dangerTicksLeft() {
+        if (this.dangerTick === null) return null;
+        return Math.max(0, DANGER_TICKS - (this.tick - this.dangerTick));
+    }
+
+    // reason is 'topOut', or 'goal', 'timeUp' and 'outOfPieces' for modes
+    // that end on their own, or 'ended' when the player calls it a day
+    triggerGameOver(reason = 'topOut') {
+        if (this.isGameOver) return;
+        this.isGameOver = true;
+        this.activePiece = null;
+        this.emit('gameOver', { score: this.score, level: this.currentLevel, reason, ticks: this.tick });
+    }
+
+    // For runs that never end on their own (Zen); returns the gameOver event
+    // the way step() returns its events
+    endRun() {
+        this.triggerGameOver('ended');
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    // Garbage waits for the active piece to settle, then rains in from the top
+    queueGarbage(count) {
+        if (this.isGameOver || count <= 0) return;
+        this.pendingGarbage += count;
+    }
+
+    dropGarbage() {
+        const columns = Math.floor(this.width / BLOCK_SIZE);
+        // At most two rows at a time; the rest comes with the next settle
+        const count = Math.min(this.pendingGarbage, columns * 2);
+        if (count === 0) return;
+        this.pendingGarbage -= count;
+
+        const offsetX = (this.width - columns * BLOCK_SIZE) / 2 + BLOCK_SIZE / 2;
+        const blocks = [];
+        let free = [];
+        let row = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (free.length === 0) {
+                free = Array.from({ length: columns }, (_, c) => c);
+                row++;
+            }
+            const column = free.splice(this.garbageRng.int(free.length), 1)[0];
+            const block = this.buildGarbage(offsetX + column * BLOCK_SIZE, -BLOCK_SIZE * row);
+            Body.setVelocity(block, { x: 0, y: 10 });
+            blocks.push(block);
+        }
+
+        Composite.add(this.engine.world, blocks);
+        this.wasMoving = true;
+        this.emit('garbageDropped', { count });
+    }
+
+    buildGarbage(x, y) {
+        const block = Bodies.rectangle(x, y, BLOCK_SIZE - 2, BLOCK_SIZE - 2, {
+            render: { fillStyle: GARBAGE_COLOR },
+            chamfer: { radius: 4 },
+            friction: 0.5,
+            restitution: 0.2,
+            sleepThreshold: 30
+        });
+        // No pieceType: garbage never matches anything
+        block.pieceType = null;
+        block.isGarbage = true;
+        block.label = 'settled';
+        return block;
+    }
+
+    // Pins the glue piece to every settled piece it rests against, at the
+    // closest pair of blocks
+    applyGlue(piece) {
+        const joints = [];
+
+        this.getSettledBodies().forEach(other => {
+            if (other === piece) return;
+
+            let closest = null;
+            blocksOf(piece).forEach(a => {
+                blocksOf(other).forEach(b => {
+                    const d = Vector.magnitude(Vector.sub(a.position, b.position));
+                    if (d < BLOCK_SIZE * 1.1 && (!closest || d < closest.d)) closest = { a, b, d };
+                });
+            });
+            if (!closest) return;
+
+            const mid = Vector.mult(Vector.add(closest.a.position, closest.b.position), 0.5);
+            joints.push(this.buildGlue(piece, other, Vector.sub(mid, piece.position), Vector.sub(mid, other.position)));
+        });
+
+        if (joints.length === 0) return;
+        Composite.add(this.engine.world, joints);
+        this.emit('pieceGlued', { count: joints.length });
+    }
+
+    buildGlue(bodyA, bodyB, pointA, pointB) {
+        return Constraint.create({
+            bodyA, bodyB, pointA, pointB,
+            length: 0,
+            stiffness: 0.6,
+            damping: 0.1,
+            label: 'glue',
+            render: { strokeStyle: MATERIALS.glue.style.strokeStyle, lineWidth: 2 }
+        });
+    }
+
+    // Removes the bomb and every settled piece with a block in its radius
+    detonate(bomb) {
+        const { radius, pointsPerPiece } = MATERIALS.bomb;
+        const bombBlocks = blocksOf(bomb);
+
+        const hit = this.getSettledBodies().filter(body => body !== bomb && blocksOf(body).some(b =>
+            bombBlocks.some(c => Vector.magnitude(Vector.sub(b.position, c.position)) < radius)
+        ));
+
+        const { x, y } = bomb.position;
+        const pieces = [bomb, ...hit].map(b => this.describeBody(b));
+        this.removeBodies([bomb, ...hit]);
+
+        const points = this.scorePoints(hit.length * pointsPerPiece, { source: 'bomb', size: hit.length });
+        this.emit('bombExploded', { x, y, radius, size: hit.length, points, pieces });
+        if (points > 0) this.addScore(points);
+
+        Composite.allBodies(this.engine.world).forEach(b => Sleeping.set(b, false));
+        this.wasMoving = true;
+    }
+
+    // Glue joints go with the bodies they hold
+    removeBodies(bodies) {
+        const gone = new Set(bodies);
+        Composite.allConstraints(this.engine.world).forEach(c => {
+            if (gone.has(c.bodyA) || gone.has(c.bodyB)) Composite.remove(this.engine.world, c);
+        });
+        bodies.forEach(b => Composite.remove(this.engine.world, b));
+    }
+
+    // A score hook gets a say in every award; whatever it returns is rounded
+    // and kept from going negative
+    scorePoints(points, context) {
+        if (!this.hooks.score) return points;
+        const changed = this.hooks.score(points, { ...context, score: this.score, tick: this.tick });
+        return Number.isFinite(changed) ? Math.max(0, Math.round(changed)) : points;
+    }
+
+    addScore(points) {
+        this.score += points;
+        this.emit('scoreChanged', { score: this.score, delta: points });
+
+        const next = this.levelDefinition(this.currentLevel + 1);
+        if (next && this.score >= next.threshold) {
+            this.levelUp(next.level);
+        }
+    }
+
+    levelDefinition(level) {
+        return this.levels.find(def => def.level === level) || null;
+    }
+
+    applyLevel(def) {
+        this.level = def;
+        this.minToClear = def.minToClear;
+        this.engine.gravity.y = def.gravity;
+    }
+
+    levelUp(targetLevel) {
+        const def = this.levelDefinition(targetLevel);
+        this.currentLevel = targetLevel;
+        this.applyLevel(def);
+        this.emit('levelUp', { level: targetLevel, minToClear: this.minToClear, splash: def.splash });
+    }
+
+    checkClears() {
+        const bodies = Composite.allBodies(this.engine.world);
+        const byType = {};
+        const settled = [];
+
+        for (let i = 0; i < bodies.length; i++) {
+            const b = bodies[i];
+            if (b.label === 'settled' && b.parent === b && !b.isGarbage) {
+                settled.push(b);
+                if (!byType[b.pieceType]) byType[b.pieceType] = [];
+                byType[b.pieceType].push(b);
+            }
+        }
+
+        if (settled.length < this.minToClear) return;
+
+        const groups = [];
+        const toRemove = new Set();
+
+        let materialBonus = 0;
+
+        findGroups(byType, this.minToClear).forEach(({ pieceType, pieces }) => {
+            pieces.forEach(p => toRemove.add(p));
+            // Special pieces are worth extra on top of the group score
+            const bonus = pieces.reduce((sum, p) => sum + (p.material ? MATERIALS[p.material].clearBonus : 0), 0);
+            materialBonus += bonus;
+            groups.push({
+                pieceType, size: pieces.length, bonus, ...this.centreOf(pieces),
+                pieces: pieces.map(p => this.describeBody(p))
+            });
+        });
+
+        if (toRemove.size > 0) {
+            // Progressive scoring logic: 100 base + 25% bonus for each piece above minimum
+            const multiplier = 1 + (toRemove.size - this.minToClear) * 0.25;
+            const basePoints = Math.floor(toRemove.size * 100 * multiplier) + materialBonus;
+
+            // A clear with no new piece since the last one is the next chain link
+            if (this.chain === 0) this.combo++;
+            this.chain++;
+            const chainMultiplier = 1 + (this.chain - 1) * CHAIN_STEP;
+            const pointsGained = this.scorePoints(Math.floor(basePoints * chainMultiplier) + (this.combo - 1) * COMBO_BONUS, {
+                source: 'clear', groups, size: toRemove.size, chain: this.chain, combo: this.combo
+            });
+
+            // Each group's share of the points goes by its size; rounding
+            // leftovers go to the first
+            groups.forEach(group => group.points = Math.floor(pointsGained * group.size / toRemove.size));
+            groups[0].points += pointsGained - groups.reduce((sum, group) => sum + group.points, 0);
+
+            this.removeBodies([...toRemove]);
+            this.groupsCleared += groups.length;
+            this.emit('groupCleared', {
+                groups, size: toRemove.size, points: pointsGained,
+                chain: this.chain, chainMultiplier, combo: this.combo
+            });
+
+            // Check for Perfect Clear
+            const remainingSettled = bodies.filter(b => b.label === 'settled' && !toRemove.has(b));
+            const perfectClear = remainingSettled.length === 0;
+            const perfectPoints = perfectClear ? this.scorePoints(PERFECT_CLEAR_BONUS, { source: 'perfectClear' }) : 0;
+            if (perfectClear) this.emit('perfectClear', { points: perfectPoints });
+
+            if (this.puzzle) this.puzzleProgress += goalProgress(this.puzzle.goal, groups, perfectClear);
+
+            this.addScore(pointsGained + perfectPoints);
+
+            const remaining = Composite.allBodies(this.engine.world);
+            remaining.forEach(b => Sleeping.set(b, false));
+            this.lastActionTick = this.tick;
+        }
+    }
+
+    centreOf(bodies) {
+        let x = 0;
+        let y = 0;
+        bodies.forEach(b => {
+            x += b.position.x;
+            y += b.position.y;
+        });
+        return { x: x / bodies.length, y: y / bodies.length };
+    }
+
+    describeBody(body) {
+        const parts = blocksOf(body);
+        return {
+            id: body.id,
+            pieceType: body.pieceType,
+            material: body.material || null,
+            x: body.position.x,
+            y: body.position.y,
+            angle: body.angle,
+            blocks: parts.map(p => ({ x: p.position.x, y: p.position.y }))
+        };
+    }
+
+    getSettledBodies() {
+        return Composite.allBodies(this.engine.world).filter(b => b.label === 'settled' && b.parent === b);
+    }
+
+    serializeBody(body) {
+        return {
+            pieceType: body.pieceType,
+            material: body.material || null,
+            isGarbage: !!body.isGarbage,
+            x: body.position.x,
+            y: body.position.y,
+            angle: body.angle,
+            vx: body.velocity.x,
+            vy: body.velocity.y,
+            av: body.angularVelocity,
+            sleeping: body.isSleeping
+        };
+    }
+
+    // Everything needed to pick a run up again later, as plain JSON
+    serialize() {
+        const active = this.activePiece;
+        const settled = this.getSettledBodies();
+        return {
+            version: 1,
+            options: this.options,
+            rng: this.rng.getState(),
+            garbageRng: this.garbageRng.getState(),
+            materialRng: this.materialRng.getState(),
+            randomizer: this.randomizer.getState ? this.randomizer.getState() : null,
+            score: this.score,
+            currentLevel: this.currentLevel,
+            minToClear: this.minToClear,
+            tick: this.tick,
+            lastActionTick: this.lastActionTick,
+            pendingSpawnTick: this.pendingSpawnTick,
+            pendingGarbage: this.pendingGarbage,
+            dangerTick: this.dangerTick,
+            wasMoving: this.wasMoving,
+            isTouchingPile: this.isTouchingPile,
+            chain: this.chain,
+            combo: this.combo,
+            groupsCleared: this.groupsCleared,
+            puzzleProgress: this.puzzleProgress,
+            stats: this.stats.toJSON(),
+            queue: [...this.queue],
+            heldPieceType: this.heldPieceType,
+            canHold: this.canHold,
+            settled: settled.map(b => this.serializeBody(b)),
+            // Glue joints by index into settled
+            glue: Composite.allConstraints(this.engine.world).filter(c => c.label === 'glue').map(c => ({
+                a: settled.indexOf(c.bodyA),
+                b: settled.indexOf(c.bodyB),
+                pointA: { ...c.pointA },
+                pointB: { ...c.pointB }
+            })),
+            active: active ? {
+                ...this.serializeBody(active),
+                spawnTick: active.spawnTick,
+                lastPos: { ...active.lastPos },
+                lastMoveTick: active.lastMoveTick,
+                hardDropped: !!active.hardDropped
+            } : null
+        };
+    }
+
+    // An exact copy that plays on the same as this one would, for seeking
+    // in replays. A serialized run loses the engine's contacts and sleep
+    // timers and drifts once restored; this copies all of it. The rngs and
+    // the randomizer are closures, so they're rebuilt on the copy's state.
+    fork() {
+        const shared = [this.options, this.hooks, this.levels, this.shapes, this.mode, this.puzzle];
+        const copy = cloneGraph(this, new Map(shared.map(value => [value, value])));
+        ['rng', 'garbageRng', 'materialRng'].forEach(key => {
+            copy[key] = createRng(0);
+            copy[key].setState(this[key].getState());
+        });
+        copy.randomizer = copy.buildRandomizer();
+        if (this.randomizer.getState) copy.randomizer.setState(this.randomizer.getState());
+        return copy;
+    }
+
+    // Rebuilds the bodies the same way spawning does, then puts them back
+    // where they were
+    static restore(data, hooks = {}) {
+        const core = new FrustrisCore(data.options, hooks);
+
+        core.rng.setState(data.rng);
+        core.garbageRng.setState(data.garbageRng);
+        if (data.materialRng) core.materialRng.setState(data.materialRng);
+        if (data.randomizer && core.randomizer.setState) core.randomizer.setState(data.randomizer);
+
+        ['score', 'currentLevel', 'minToClear', 'tick', 'lastActionTick', 'pendingSpawnTick',
+            'pendingGarbage', 'dangerTick', 'wasMoving', 'isTouchingPile', 'heldPieceType', 'canHold', 'chain', 'combo', 'groupsCleared',
+            'puzzleProgress'].forEach(key => {
+            core[key] = data[key] ?? core[key];
+        });
+        core.queue = [...data.queue];
+        core.stats = new RunStats(data.stats);
+        core.applyLevel(core.levelDefinition(core.currentLevel));
+
+        const place = (body, saved) => {
+            Body.setPosition(body, { x: saved.x, y: saved.y });
+            Body.setAngle(body, saved.angle);
+            Body.setVelocity(body, { x: saved.vx, y: saved.vy });
+            Body.setAngularVelocity(body, saved.av);
+            Composite.add(core.engine.world, body);
+            if (saved.sleeping) Sleeping.set(body, true);
+            return body;
+        };
+
+        const settled = data.settled.map(saved => {
+            const body = saved.isGarbage ? core.buildGarbage(0, 0) : core.buildPiece(saved.pieceType, saved.material);
+            body.label = 'settled';
+            return place(body, saved);
+        });
+
+        (data.glue || []).forEach(({ a, b, pointA, pointB }) => {
+            Composite.add(core.engine.world, core.buildGlue(settled[a], settled[b], pointA, pointB));
+        });
+
+        if (data.active) {
+            const piece = place(core.buildPiece(data.active.pieceType, data.active.material), data.active);
+            piece.label = 'active';
+            piece.spawnTick = data.active.spawnTick;
+            piece.lastPos = { ...data.active.lastPos };
+            piece.lastMoveTick = data.active.lastMoveTick;
+            piece.hardDropped = !!data.active.hardDropped;
+            core.activePiece = piece;
+        }
+
+        return core;
+    }
+
+    // Plain-data snapshot for UIs, bots and tests
+    getState() {
+        return {
+            tick: this.tick,
+            seed: this.seed,
+            score: this.score,
+            level: this.currentLevel,
+            minToClear: this.minToClear,
+            isGameOver: this.isGameOver,
+            isTouchingPile: this.isTouchingPile,
+            pilePercent: this.pilePercent,
+            dangerTicksLeft: this.dangerTicksLeft(),
+            mode: this.mode.id,
+            groupsCleared: this.groupsCleared,
+            timeLeftTicks: this.timeLeftTicks(),
+            puzzleProgress: this.puzzleProgress,
+            stats: this.stats.toJSON(),
+            nextPieceType: this.nextPieceType,
+            queue: [...this.queue],
+            heldPieceType: this.heldPieceType,
+            canHold: this.canHold,
+            chain: this.chain,
+            combo: this.combo,
+            activePiece: this.activePiece ? this.describeBody(this.activePiece) : null,
+            pile: this.getSettledBodies().map(b => this.describeBody(b))
+        };
+    }
+}
@@ -0,0 +1,133 @@
+import Matter from 'matter-js';
+import { BLOCK_SIZE } from './tetrominoes.js';
+
+const { Query, Vector } = Matter;
+
+// Pieces count as connected when they collide or any two of their blocks
+// are closer than this
+export const REACH = BLOCK_SIZE * 1.5;
+
+// A compound piece's blocks; parts[0] is the whole body
+export const blocksOf = (body) => body.parts.length > 1 ? body.parts.slice(1) : [body];
+
+function touches(a, b) {
+    if (Query.collides(a, [b]).length > 0) return true;
+
+    const partsA = blocksOf(a);
+    const partsB = blocksOf(b);
+    for (const pA of partsA) {
+        for (const pB of partsB) {
+            if (Vector.magnitude(Vector.sub(pA.position, pB.position)) < REACH) return true;
+        }
+    }
+    return false;
+}
+
+// The collision test only looks at one side's hull, so check both ways;
+// one-way it depended on visiting order and could split a touching group
+const connected = (a, b) => touches(a, b) || touches(b, a);
+
+// Both finders take settled pieces keyed by type and return the groups of at
+// least minToClear connected pieces, as { pieceType, pieces }
+
+// Original flood fill, comparing every pair of same-type pieces. Kept as the
+// reference for bench/clears.js
+export function findGroupsFlood(byType, minToClear) {
+    const visited = new Set();
+    const groups = [];
+
+    for (const type in byType) {
+        const pieces = byType[type];
+        for (let i = 0; i < pieces.length; i++) {
+            const piece = pieces[i];
+            if (visited.has(piece.id)) continue;
+
+            const group = [];
+            const stack = [piece];
+            visited.add(piece.id);
+
+            while (stack.length > 0) {
+                const current = stack.pop();
+                group.push(current);
+
+                for (let j = 0; j < pieces.length; j++) {
+                    const other = pieces[j];
+                    if (visited.has(other.id)) continue;
+                    if (connected(current, other)) {
+                        visited.add(other.id);
+                        stack.push(other);
+                    }
+                }
+            }
+
+            if (group.length >= minToClear) groups.push({ pieceType: type, pieces: group });
+        }
+    }
+
+    return groups;
+}
+
+// Spatial hash over block centres with REACH-sized cells, so only pieces in
+// neighbouring cells get the exact test; union-find joins them into groups
+export function findGroups(byType, minToClear) {
+    const groups = [];
+
+    for (const type in byType) {
+        const pieces = byType[type];
+        const parent = pieces.map((_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        const cells = new Map();
+        pieces.forEach((piece, i) => {
+            blocksOf(piece).forEach(part => {
+                const key = cellKey(Math.floor(part.position.x / REACH), Math.floor(part.position.y / REACH));
+                const cell = cells.get(key);
+                if (!cell) cells.set(key, [i]);
+                else if (cell[cell.length - 1] !== i) cell.push(i);
+            });
+        });
+
+        pieces.forEach((piece, i) => {
+            // Any block close enough to touch lies within REACH of the bounds
+            const { min, max } = piece.bounds;
+            const x0 = Math.floor((min.x - REACH) / REACH);
+            const x1 = Math.floor((max.x + REACH) / REACH);
+            const y0 = Math.floor((min.y - REACH) / REACH);
+            const y1 = Math.floor((max.y + REACH) / REACH);
+
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const cell = cells.get(cellKey(cx, cy));
+                    if (!cell) continue;
+                    for (const j of cell) {
+                        if (j <= i) continue;
+                        const rootI = find(i);
+                        const rootJ = find(j);
+                        if (rootI !== rootJ && connected(piece, pieces[j])) parent[rootJ] = rootI;
+                    }
+                }
+            }
+        });
+
+        // Collect in piece order so groups come out as the flood fill lists them
+        const members = new Map();
+        pieces.forEach((piece, i) => {
+            const root = find(i);
+            if (!members.has(root)) members.set(root, []);
+            members.get(root).push(piece);
+        });
+        members.forEach(group => {
+            if (group.length >= minToClear) groups.push({ pieceType: type, pieces: group });
+        });
+    }
+
+    return groups;
+}
+
+const cellKey = (x, y) => x * 65536 + y;
@@ -0,0 +1,134 @@
+import { emptyInput } from './game-core.js';
+
+export const BINDABLE_ACTIONS = [
+    { action: 'left', label: 'Move Left' },
+    { action: 'right', label: 'Move Right' },
+    { action: 'rotateLeft', label: 'Rotate Left' },
+    { action: 'rotateRight', label: 'Rotate Right' },
+    { action: 'softDrop', label: 'Soft Drop' },
+    { action: 'hardDrop', label: 'Hard Drop' },
+    { action: 'hold', label: 'Hold' },
+    { action: 'pause', label: 'Pause' }
+];
+
+export const DEFAULT_BINDINGS = {
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    rotateLeft: ['KeyA'],
+    rotateRight: ['KeyD'],
+    softDrop: ['ArrowDown'],
+    hardDrop: ['Space'],
+    hold: ['KeyC'],
+    pause: ['Escape']
+};
+
+// Standard Gamepad layout: 0 = A, 3 = Y, 4/5 = shoulders, 6/7 = triggers, 9 = start, 12-15 = d-pad
+export const DEFAULT_PAD_BINDINGS = {
+    left: [14],
+    right: [15],
+    rotateLeft: [4, 6],
+    rotateRight: [5, 7],
+    softDrop: [13],
+    hardDrop: [0],
+    hold: [3],
+    pause: [9]
+};
+
+export const DEFAULT_HANDLING = {
+    moveSpeed: 6,
+    rotateSpeed: 0.08,
+    moveSensitivity: 1.0,
+    rotateSensitivity: 0.05
+};
+
+const STICK_DEADZONE = 0.2;
+
+export function describeKey(code) {
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Space: 'Space', Escape: 'Esc' };
+    return names[code] || code;
+}
+
+// Translates raw keys and gamepads into game actions through the bindings
+export class InputMapper {
+    constructor(settings = {}) {
+        this.bindings = { ...DEFAULT_BINDINGS, ...settings.bindings };
+        this.padBindings = { ...DEFAULT_PAD_BINDINGS, ...settings.padBindings };
+        this.handling = { ...DEFAULT_HANDLING, ...settings.handling };
+    }
+
+    actionForKey(code) {
+        for (const action in this.bindings) {
+            if (this.bindings[action].includes(code)) return action;
+        }
+        return null;
+    }
+
+    bindKey(action, code) {
+        // A key drives one action only
+        for (const other in this.bindings) {
+            this.bindings[other] = this.bindings[other].filter(c => c !== code);
+        }
+        this.bindings[action] = [code];
+    }
+
+    bindPadButton(action, button) {
+        for (const other in this.padBindings) {
+            this.padBindings[other] = this.padBindings[other].filter(b => b !== button);
+        }
+        this.padBindings[action] = [button];
+    }
+
+    reset() {
+        this.bindings = { ...DEFAULT_BINDINGS };
+        this.padBindings = { ...DEFAULT_PAD_BINDINGS };
+        this.handling = { ...DEFAULT_HANDLING };
+    }
+
+    toSettings() {
+        return { bindings: this.bindings, padBindings: this.padBindings, handling: this.handling };
+    }
+
+    readKeys(keys) {
+        const input = emptyInput();
+        for (const action in this.bindings) {
+            if (action in input && this.bindings[action].some(code => keys[code])) input[action] = true;
+        }
+        return input;
+    }
+
+    // Digital buttons become actions; the stick and the shoulder/trigger values
+    // become analog moveX/rotate so half a squeeze turns at half speed
+    readGamepad(pad, input = emptyInput()) {
+        if (!pad) return input;
+
+        const value = (index) => (pad.buttons[index] ? pad.buttons[index].value : 0);
+        const pressed = (index) => !!(pad.buttons[index] && pad.buttons[index].pressed);
+
+        ['left', 'right', 'softDrop', 'hardDrop', 'hold'].forEach(action => {
+            if (this.padBindings[action].some(pressed)) input[action] = true;
+        });
+
+        const stickX = pad.axes[0] || 0;
+        const stickY = pad.axes[1] || 0;
+        if (Math.abs(stickX) > STICK_DEADZONE) input.moveX += stickX * this.handling.moveSpeed;
+        if (stickY > 0.5) input.softDrop = true;
+
+        const turnLeft = Math.max(0, ...this.padBindings.rotateLeft.map(value));
+        const turnRight = Math.max(0, ...this.padBindings.rotateRight.map(value));
+        input.rotate += (turnRight - turnLeft) * this.handling.rotateSpeed;
+
+        return input;
+    }
+
+    isPadPausePressed(pad) {
+        return !!pad && this.padBindings.pause.some(index => pad.buttons[index] && pad.buttons[index].pressed);
+    }
+}
+
+export function getGamepad(index = 0) {
+    if (!navigator.getGamepads) return null;
+    const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+    return pads[index] || null;
+}
@@ -0,0 +1,72 @@
+import { REACH, blocksOf } from './groups.js';
+
+// Where the active piece ends up if it falls straight down from here at its
+// current angle. Physics may still bounce or roll it, so this is a hint.
+
+// Shortest vertical distance from any of points to an edge of polygon,
+// looking down for direction 1 and up for -1
+function castVertices(points, polygon, direction) {
+    let best = Infinity;
+    for (const p of points) {
+        for (let i = 0; i < polygon.length; i++) {
+            const v1 = polygon[i];
+            const v2 = polygon[(i + 1) % polygon.length];
+            if (v1.x === v2.x || p.x < Math.min(v1.x, v2.x) || p.x > Math.max(v1.x, v2.x)) continue;
+
+            const edgeY = v1.y + (v2.y - v1.y) * (p.x - v1.x) / (v2.x - v1.x);
+            const d = (edgeY - p.y) * direction;
+            if (d >= 0 && d < best) best = d;
+        }
+    }
+    return best;
+}
+
+// How far a can drop before touching b; both are convex parts
+function dropDistance(a, b) {
+    if (a.bounds.max.x <= b.bounds.min.x || a.bounds.min.x >= b.bounds.max.x) return Infinity;
+    if (b.bounds.max.y <= a.bounds.min.y) return Infinity;
+    return Math.min(castVertices(a.vertices, b.vertices, 1), castVertices(b.vertices, a.vertices, -1));
+}
+
+// { blocks, angle, completes }, or null without an active piece.
+// completes is set when the landed piece would join same-type pieces into a
+// group of at least minToClear, judged by block distance like the clear check.
+export function predictLanding(core) {
+    const piece = core.activePiece;
+    if (!piece) return null;
+
+    const parts = blocksOf(piece);
+    const settled = core.getSettledBodies();
+
+    let dy = Math.min(...parts.map(part => core.height - part.bounds.max.y));
+    settled.forEach(body => {
+        blocksOf(body).forEach(other => {
+            parts.forEach(part => {
+                dy = Math.min(dy, dropDistance(part, other));
+            });
+        });
+    });
+    dy = Math.max(0, dy);
+
+    const blocks = parts.map(part => ({ x: part.position.x, y: part.position.y + dy }));
+    return { blocks, angle: piece.angle, completes: completesGroup(core, piece.pieceType, blocks, settled) };
+}
+
+function completesGroup(core, pieceType, landed, settled) {
+    const candidates = settled.filter(body => body.pieceType === pieceType && !body.isGarbage)
+        .map(body => blocksOf(body).map(part => part.position));
+
+    const near = (a, b) => a.some(p => b.some(q => Math.hypot(p.x - q.x, p.y - q.y) < REACH));
+
+    // Flood out from the landed piece through touching pieces of its type
+    let size = 1;
+    let frontier = [landed];
+    let remaining = candidates;
+    while (frontier.length > 0 && size < core.minToClear) {
+        const reached = remaining.filter(blocks => frontier.some(f => near(f, blocks)));
+        remaining = remaining.filter(blocks => !reached.includes(blocks));
+        size += reached.length;
+        frontier = reached;
+    }
+    return size >= core.minToClear;
+}
@@ -0,0 +1,170 @@
+import { MODES, modeDefinition, dailyKey, recordResult } from './modes.js';
+import { WELL_SIZES, wellKey } from './wells.js';
+
+// Top-10 tables per mode plus a short history of recent runs. An entry is
+// { initials, score, level, durationMs, date, seed }; date is an ISO string,
+// empty for the migrated old high score, which has no details either.
+// Each day's daily challenge gets a table of its own, and every other mode
+// one per well size. run is the options the run was started with; a daily
+// run is filed under its own day.
+export const LEADERBOARD_SIZE = 10;
+const HISTORY_SIZE = 20;
+const EXPORT_VERSION = 1;
+
+const TABLES_KEY = 'frustris_leaderboard';
+const HISTORY_KEY = 'frustris_history';
+const LEGACY_KEY = 'frustris_highscore';
+
+// Puzzles track what's solved instead
+export const hasLeaderboard = (modeId) => modeDefinition(modeId).best !== 'solved';
+
+export function tableKey(modeId, run = {}) {
+    return modeDefinition(modeId).daily ? `daily:${run.day || dailyKey()}` : wellKey(modeId, run);
+}
+
+// Sprint ranks on time, everything else on score; ties go to the earlier run
+function compareEntries(modeId) {
+    const byTime = modeDefinition(modeId).best === 'time';
+    return (a, b) => {
+        const diff = byTime ? a.durationMs - b.durationMs : b.score - a.score;
+        return diff !== 0 ? diff : a.date.localeCompare(b.date);
+    };
+}
+
+const modeOfTable = (key) => key.split(':')[0];
+
+// Whether key is a table this version could have written
+function isTableKey(key) {
+    const modeId = modeOfTable(key);
+    if (modeDefinition(modeId).id !== modeId || !hasLeaderboard(modeId)) return false;
+    if (modeDefinition(modeId).daily) return /^daily:\d{4}-\d{2}-\d{2}$/.test(key);
+    return WELL_SIZES.some(well => tableKey(modeId, well) === key);
+}
+
+function readJSON(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function loadTables() {
+    return readJSON(TABLES_KEY, {});
+}
+
+function saveTables(tables) {
+    localStorage.setItem(TABLES_KEY, JSON.stringify(tables));
+}
+
+export function loadTable(key) {
+    return loadTables()[key] || [];
+}
+
+// Where result would land in its table, or -1 if it doesn't make the cut
+export function rankFor(modeId, result, run = {}) {
+    if (!hasLeaderboard(modeId)) return -1;
+    const table = loadTable(tableKey(modeId, run));
+    const compare = compareEntries(modeId);
+    const rank = table.findIndex(entry => compare(result, entry) < 0);
+    if (rank !== -1) return rank;
+    return table.length < LEADERBOARD_SIZE ? table.length : -1;
+}
+
+// Adds entry to its mode's table and returns its rank, or -1 if it fell off
+export function addEntry(modeId, entry, run = {}) {
+    if (!hasLeaderboard(modeId)) return -1;
+    const tables = loadTables();
+    const key = tableKey(modeId, run);
+    const table = [...(tables[key] || []), entry].sort(compareEntries(modeId)).slice(0, LEADERBOARD_SIZE);
+    tables[key] = table;
+    saveTables(tables);
+    return table.indexOf(entry);
+}
+
+export function loadHistory() {
+    return readJSON(HISTORY_KEY, []);
+}
+
+// Every finished run, newest first, as an entry plus its mode and reason
+export function recordRun(run) {
+    const history = [run, ...loadHistory()].slice(0, HISTORY_SIZE);
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+}
+
+export function exportLeaderboard() {
+    return { version: EXPORT_VERSION, tables: loadTables() };
+}
+
+const isEntry = (entry) => entry && typeof entry.initials === 'string' &&
+    Number.isFinite(entry.score) && typeof entry.date === 'string' &&
+    (entry.durationMs === null || Number.isFinite(entry.durationMs));
+
+const sameEntry = (a, b) => a.initials === b.initials && a.score === b.score &&
+    a.date === b.date && a.seed === b.seed && a.durationMs === b.durationMs;
+
+// Merges an exported file into the local tables; returns how many new
+// entries made it into them. Entries already present (same run from an earlier merge) are
+// skipped, so importing twice is harmless.
+export function importLeaderboard(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        data = null;
+    }
+    if (!data || data.version !== EXPORT_VERSION || !data.tables || typeof data.tables !== 'object') {
+        throw new Error('Not a Frustris leaderboard file');
+    }
+
+    const tables = loadTables();
+    let added = 0;
+
+    Object.entries(data.tables).forEach(([key, entries]) => {
+        const modeId = modeOfTable(key);
+        if (!Array.isArray(entries) || !isTableKey(key)) return;
+
+        const byTime = modeDefinition(modeId).best === 'time';
+        const table = [...(tables[key] || [])];
+        const merged = [];
+        entries.filter(isEntry).forEach(raw => {
+            // A time table needs the time
+            if (byTime && raw.durationMs === null) return;
+            const entry = {
+                initials: raw.initials.slice(0, 3).toUpperCase(),
+                score: raw.score,
+                level: Number.isInteger(raw.level) ? raw.level : null,
+                durationMs: raw.durationMs,
+                date: raw.date,
+                seed: Number.isInteger(raw.seed) ? raw.seed : null
+            };
+            if (table.some(existing => sameEntry(existing, entry))) return;
+            table.push(entry);
+            merged.push(entry);
+        });
+        tables[key] = table.sort(compareEntries(modeId)).slice(0, LEADERBOARD_SIZE);
+        added += merged.filter(entry => tables[key].includes(entry)).length;
+    });
+    saveTables(tables);
+
+    // A merged run can beat the best shown in the HUD
+    MODES.filter(mode => hasLeaderboard(mode.id)).forEach(mode => {
+        WELL_SIZES.forEach(well => {
+            const top = loadTable(tableKey(mode.id, well))[0];
+            if (top) recordResult(mode.id, mode.best === 'time' ? { timeMs: top.durationMs } : { score: top.score }, well);
+        });
+    });
+    return added;
+}
+
+// The old single high score becomes an unnamed endless entry, once
+export function migrateHighScore() {
+    const legacy = parseInt(localStorage.getItem(LEGACY_KEY)) || 0;
+    if (legacy > 0) {
+        addEntry('endless', {
+            initials: '???', score: legacy, level: null, durationMs: null, date: '', seed: null
+        });
+        recordResult('endless', { score: legacy });
+    }
+    localStorage.removeItem(LEGACY_KEY);
+}
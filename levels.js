@@ -0,0 +1,44 @@
+// Level table. A level starts once the score reaches its threshold; the
+// splash is shown when the level is reached. pieces: null allows every type.
+export const LEVELS = [
+    {
+        level: 1,
+        threshold: 0,
+        minToClear: 3,
+        gravity: 0.3,
+        pieces: null,
+        friction: 0.5,
+        restitution: 0.2,
+        splash: null
+    },
+    {
+        level: 2,
+        threshold: 5000,
+        minToClear: 4,
+        gravity: 0.3,
+        pieces: null,
+        friction: 0.5,
+        restitution: 0.2,
+        splash: {
+            text: 'Challenge accepted? Matches now require 4 pieces.',
+            color: 'var(--accent-secondary)'
+        }
+    },
+    {
+        level: 3,
+        threshold: 10000,
+        minToClear: 5,
+        gravity: 0.3,
+        pieces: null,
+        friction: 0.5,
+        restitution: 0.2,
+        splash: {
+            text: 'Ultimate frustration! Matches now require 5 pieces.',
+            color: 'var(--danger)'
+        }
+    }
+];
+
+export function levelTitle(level) {
+    return `LEVEL ${level.toString().padStart(2, '0')}`;
+}
@@ -1,158 +1,382 @@
-import Matter from 'matter-js';
-import { TETROMINOES, BLOCK_SIZE } from './tetrominoes.js';
+import { randomSeed, parseSeed } from './random.js';
+import { FrustrisCore, STEP_MS, msToTicks } from './game-core.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay, quantizeDrag } from './replay.js';
+import { BotController, HeuristicBot } from './bot.js';
+import { drawPiecePreview, drawPieceQueue } from './preview.js';
+import { VersusMatch } from './versus.js';
+import { InputMapper, BINDABLE_ACTIONS, describeKey, getGamepad } from './input.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { RANDOMIZERS } from './randomizers.js';
+import { levelTitle } from './levels.js';
+import { MATERIAL_RATES } from './materials.js';
+import { WELL_SIZES, wellSize, wellOf } from './wells.js';
+import { GameRenderer } from './renderer.js';
+import { PALETTES, MOTION_MODES, isReducedMotion } from './accessibility.js';
+import { MODES, modeDefinition, dailyKey, dailyOptions, formatTime, loadBest, recordResult, isBetter } from './modes.js';
+import { hasLeaderboard, tableKey, loadTable, loadHistory, rankFor, addEntry, recordRun, exportLeaderboard, importLeaderboard, migrateHighScore } from './leaderboard.js';
+import { StateMachine } from './state-machine.js';
+import { GameAudio, WebAudioBackend } from './audio.js';
+import { EventBus } from './events.js';
+import { piecesPerMinute, loadLifetimeStats, recordLifetimeStats } from './stats.js';
+import { PluginHost } from './plugins.js';
+import { feedbackPlugin } from './feedback.js';
+import { allPieceSets, pieceSetShapes } from './piece-sets.js';
+import { PieceEditor } from './piece-editor.js';
+import { PUZZLES, puzzleOptions, parsePuzzle, describeGoal, goalTarget, loadSolved, markSolved } from './puzzles.js';
+
+const SAVE_KEY = 'frustris_savegame';
+// The well grows to fill big screens, up to this much
+const MAX_SCALE = 2;
+// How far apart replay seeks keep copies of the run to start from
+const SNAPSHOT_TICKS = msToTicks(10000);
+
+// menu -> playing <-> paused, with stops at levelUp and an end at gameOver,
+// from where a restart goes straight back to playing. Replays and the AI
+// play in the playing state too; versus leaves this game for its own match.
+// The clear that levels up can also end the run in the same tick, so the
+// splash gives way to gameOver.
+const GAME_STATES = {
+    menu: ['playing', 'versus'],
+    playing: ['paused', 'levelUp', 'gameOver', 'menu'],
+    paused: ['playing', 'gameOver', 'menu'],
+    levelUp: ['playing', 'gameOver', 'menu'],
+    gameOver: ['playing', 'menu'],
+    versus: ['menu']
+};
+
+// Fills a select with { id, label } choices
+function fillSelect(select, choices) {
+    choices.forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.innerText = label;
+        select.appendChild(option);
+    });
+}
+
+function downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-// Alias
-const { Engine, Render, Runner, Bodies, Composite, Body, Events, Vector, Sleeping } = Matter;
+// Fills element with a RunStats: the totals, then a row per level played
+function renderStats(element, stats) {
+    const ms = stats.ticks * STEP_MS;
+    const byType = Object.entries(stats.piecesByType).map(([type, count]) => `${type} ${count}`).join(' · ');
+    const rows = [
+        ['PIECES', `${stats.pieces} (${piecesPerMinute(stats.pieces, ms).toFixed(1)}/min)`],
+        ['BY TYPE', byType || '-'],
+        ['HARD DROPS', stats.hardDrops],
+        ['GROUPS', `${stats.groupsCleared} (largest ${stats.largestGroup})`],
+        ['PERFECT CLEARS', stats.perfectClears],
+        ['MAX PILE', `${Math.round(stats.maxPilePercent)}%`],
+        ['TIME', formatTime(ms)]
+    ];
+
+    element.innerHTML = '';
+    const list = document.createElement('dl');
+    list.className = 'stats-list';
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.innerText = label;
+        const detail = document.createElement('dd');
+        detail.innerText = value;
+        list.append(term, detail);
+    });
+    element.appendChild(list);
+
+    const levels = Object.keys(stats.levels).map(Number).sort((a, b) => a - b);
+    if (levels.length === 0) return;
+
+    const table = document.createElement('table');
+    table.className = 'stats-levels';
+    const header = table.insertRow();
+    ['LV', 'TIME', 'PIECES', '/MIN', 'GROUPS'].forEach(text => {
+        const th = document.createElement('th');
+        th.innerText = text;
+        header.appendChild(th);
+    });
+    levels.forEach(level => {
+        const { ticks, pieces, groups } = stats.levels[level];
+        const row = table.insertRow();
+        [level, formatTime(ticks * STEP_MS), pieces, piecesPerMinute(pieces, ticks * STEP_MS).toFixed(1), groups].forEach(value => {
+            row.insertCell().innerText = value;
+        });
+    });
+    element.appendChild(table);
+}
 
+// Browser front-end: input, rendering, HUD and modals around a FrustrisCore
 class Frustris {
     constructor() {
         this.container = document.getElementById('game-canvas-container');
         this.scoreElement = document.getElementById('score-val');
         this.highScoreElement = document.getElementById('high-score-val');
+        this.highScoreLabel = document.getElementById('high-score-label');
+        this.modeStat = document.getElementById('mode-stat');
+        this.modeStatLabel = document.getElementById('mode-stat-label');
+        this.modeStatValue = document.getElementById('mode-stat-val');
         this.pileMeter = document.getElementById('pile-meter');
+        this.gameContainer = document.querySelector('#app > .game-container');
+        this.deathLine = document.getElementById('death-line');
+        this.dangerTimer = document.getElementById('danger-timer');
         this.gameOverScreen = document.getElementById('game-over');
         this.finalScoreElement = document.getElementById('final-score-val');
+        this.gameOverTitle = document.getElementById('game-over-title');
+        this.gameOverText = document.getElementById('game-over-text');
         this.restartBtn = document.getElementById('restart-btn');
 
-        this.score = 0;
-        this.highScore = parseInt(localStorage.getItem('frustris_highscore')) || 0;
-        this.currentLevel = 1;
-        this.minToClear = 3;
-        this.isGameOver = false;
-        this.isPaused = false;
-        this.hasStarted = false;
-        this.activePiece = null;
+        this.settings = loadSettings();
+        this.inputMapper = new InputMapper(this.settings);
+        this.rebinding = null;
+        this.padPauseHeld = false;
         this.keys = {};
-        this.isTouchingPile = false;
-        this.wasMoving = false;
-        this.lastActionTime = Date.now();
+        // Pointer input waiting for the next tick: drag amounts and a tap's hard drop
+        this.pendingDrag = { dx: 0, rot: 0 };
+        this.pendingHardDrop = false;
         this.highScoreBroken = false;
-        this.sessionInitialHighScore = this.highScore;
+        this.reducedMotion = false;
+        // Best result for the current run's mode, and what it was when the run began
+        this.best = null;
+        this.initialBest = null;
+        // The scenario being played in puzzle mode
+        this.puzzle = null;
+        // A finished run waiting for initials before it goes on the leaderboard
+        this.pendingEntry = null;
 
         this.pauseModal = document.getElementById('pause-modal');
         this.resumeBtn = document.getElementById('resume-btn');
+        this.endRunBtn = document.getElementById('end-run-btn');
+
+        // How much bigger or smaller than its own size the page shows the well
+        this.scale = 1;
+
+        // Replay state: a recorder during live play, a player during playback
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.replaySpeed = 1;
+        this.isSeeking = false;
+        this.isScrubbing = false;
+        // Forks of the replayed core every SNAPSHOT_TICKS, oldest first
+        this.replaySnapshots = [];
+        // Pending animation frame of the game loop, null while it's stopped
+        this.frame = null;
+        // Timeouts belonging to the current run, cancelled when it's reset
+        this.timers = new Set();
+
+        // Set while the AI is playing (attract mode)
+        this.bot = null;
+        this.versus = null;
+
+        // Sound effects and music; any backend with the same methods will do
+        this.audio = new GameAudio(new WebAudioBackend());
+
+        // Core events for anything outside this class, and the plugins
+        // that listen to them or hook into the rules
+        this.bus = new EventBus();
+        this.plugins = new PluginHost(this.bus, this);
+        this.plugins.register(feedbackPlugin);
 
-        this.width = 400;
-        this.height = 700;
+        this.nextPreviewElement = document.getElementById('next-preview');
+        this.queuePreviewElement = document.getElementById('queue-preview');
+        this.holdPreviewElement = document.getElementById('hold-preview');
 
-        this.initPhysics();
-        this.addEventListeners();
+        migrateHighScore();
 
-        // Initialize Next Piece System
-        this.nextPreviewElement = document.getElementById('next-preview');
-        this.allTypes = Object.keys(TETROMINOES);
-        this.nextPieceType = this.allTypes[Math.floor(Math.random() * this.allTypes.length)];
+        this.urlSeed = parseSeed(new URLSearchParams(location.search).get('seed'));
+        this.resetRun(this.newSeed());
 
-        this.updateUI();
-        this.updatePreview();
+        this.initRenderer();
+        this.addEventListeners();
+        this.initStates();
     }
 
-    initPhysics() {
-        this.engine = Engine.create({
-            gravity: { y: 0.3 },
-            positionIterations: 6,
-            velocityIterations: 6,
-            enableSleeping: true
+    initStates() {
+        this.startSplash = document.getElementById('start-splash');
+        this.state = new StateMachine('menu', GAME_STATES);
+
+        this.state.on('menu', {
+            enter: () => {
+                document.querySelectorAll('.modal').forEach(m => m.classList.add('hidden'));
+                document.getElementById('ai-banner').classList.add('hidden');
+                this.replayBar.classList.add('hidden');
+                this.showPuzzleBanner();
+                this.continueBtn.classList.toggle('hidden', !localStorage.getItem(SAVE_KEY));
+                this.startSplash.classList.remove('hidden');
+            },
+            exit: () => this.startSplash.classList.add('hidden')
         });
 
-        this.render = Render.create({
-            element: this.container,
-            engine: this.engine,
-            options: {
-                width: this.width,
-                height: this.height,
-                wireframes: false,
-                background: 'transparent'
+        this.state.on('playing', {
+            enter: () => {
+                this.startGameLoop();
+                this.audio.startMusic();
+            },
+            exit: () => this.audio.stopMusic()
+        });
+
+        // Replays pause on their own bar, without the menu or a save
+        this.state.on('paused', {
+            enter: () => {
+                if (this.replayPlayer) {
+                    this.updateReplayBar();
+                    return;
+                }
+                renderStats(document.getElementById('pause-stats'), this.core.stats);
+                this.endRunBtn.classList.toggle('hidden', !this.core.mode.noGameOver);
+                this.pauseModal.classList.remove('hidden');
+                this.saveGame();
+            },
+            exit: () => {
+                this.pauseModal.classList.add('hidden');
+                this.updateReplayBar();
             }
         });
 
-        const wallOptions = {
-            isStatic: true,
-            render: { fillStyle: 'transparent' },
-            friction: 0.5,
-            restitution: 0.1
-        };
-        const ground = Bodies.rectangle(this.width / 2, this.height + 250, this.width * 2, 500, wallOptions);
-        const leftWall = Bodies.rectangle(-250, this.height / 2, 500, this.height * 2, wallOptions);
-        const rightWall = Bodies.rectangle(this.width + 250, this.height / 2, 500, this.height * 2, wallOptions);
+        this.state.on('levelUp', {
+            enter: (from, event) => this.showLevelSplash(event),
+            exit: () => this.levelSplash.classList.add('hidden')
+        });
 
-        Composite.add(this.engine.world, [ground, leftWall, rightWall]);
+        this.state.on('gameOver', {
+            enter: (from, event) => this.showGameOver(event),
+            exit: () => this.gameOverScreen.classList.add('hidden')
+        });
 
-        Render.run(this.render);
-        this.runner = Runner.create();
-        Runner.run(this.runner, this.engine);
+        // Versus runs its own two cores; this single-player game just steps aside
+        this.state.on('versus', {
+            enter: () => {
+                document.body.classList.add('versus-mode');
+                this.renderer.stop();
+                this.versus = new VersusMatch(document.getElementById('versus'), { onExit: () => this.returnToMenu() });
+                this.versus.start(randomSeed());
+            },
+            exit: () => {
+                this.versus.stop();
+                this.versus = null;
+                document.body.classList.remove('versus-mode');
+                this.renderer.run();
+            }
+        });
     }
 
-    spawnPiece() {
-        if (this.isGameOver || this.activePiece) return;
+    // The URL's ?seed= if there is one, the day's seed for the daily run
+    newSeed() {
+        if (modeDefinition(this.settings.mode).daily) return dailyOptions(dailyKey()).seed;
+        return this.urlSeed !== null ? this.urlSeed : randomSeed();
+    }
 
-        const bodies = this.engine.world.bodies;
-        const thresholdY = 160;
-        let blocked = false;
+    later(fn, ms) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            fn();
+        }, ms);
+        this.timers.add(id);
+    }
 
-        for (let i = 0; i < bodies.length; i++) {
-            const b = bodies[i];
-            if (b.label === 'settled' && b.position.y < thresholdY && b.speed < 0.1) {
-                if (Math.abs(b.position.x - this.width / 2) < 100) {
-                    blocked = true;
-                    break;
-                }
-            }
+    // Everything a run depends on besides its seed and inputs; replays store it
+    coreOptions(mode = this.settings.mode) {
+        const { width, height } = wellSize(this.settings.well);
+        const options = {
+            width,
+            height,
+            handling: { ...this.inputMapper.handling },
+            randomizer: this.settings.randomizer,
+            shapes: pieceSetShapes(this.settings.pieceSet),
+            previewCount: this.settings.previewCount,
+            materialRate: (MATERIAL_RATES.find(r => r.id === this.settings.materials) || MATERIAL_RATES[0]).rate,
+            mode
+        };
+        // Everyone plays the same daily run, whatever their own piece options
+        if (modeDefinition(mode).daily) {
+            const { seed, ...daily } = dailyOptions(dailyKey());
+            Object.assign(options, daily);
         }
+        return options;
+    }
 
-        if (blocked) {
-            this.triggerGameOver();
-            return;
-        }
+    // Starts over in place with a new core
+    resetRun(seed, options = this.coreOptions()) {
+        this.useCore(new FrustrisCore({ seed, ...options }, this.plugins.hooks));
+    }
 
-        const type = this.nextPieceType;
-        // Pick new next piece
-        this.nextPieceType = this.allTypes[Math.floor(Math.random() * this.allTypes.length)];
-        this.updatePreview();
+    // Plays on with the given core, with nothing left of the last run's
+    // timers, effects or input
+    useCore(core) {
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+        this.container.querySelectorAll('.clear-bonus').forEach(el => el.remove());
+        this.container.style.transform = '';
 
-        const data = TETROMINOES[type];
-
-        const parts = data.shape.map(pos => {
-            return Bodies.rectangle(
-                pos[0] * BLOCK_SIZE,
-                pos[1] * BLOCK_SIZE,
-                BLOCK_SIZE - 2,
-                BLOCK_SIZE - 2,
-                {
-                    render: { fillStyle: data.color },
-                    chamfer: { radius: 4 },
-                    sleepThreshold: 30
-                }
-            );
-        });
+        this.core = core;
+        this.applyWellSize();
+        this.keys = {};
+        this.pendingDrag = { dx: 0, rot: 0 };
+        this.pendingHardDrop = false;
+        if (this.renderer) this.renderer.setCore(this.core);
+        this.refreshBest();
 
-        this.activePiece = Body.create({
-            parts: parts,
-            friction: 0.5,
-            restitution: 0.2
-        });
+        document.querySelectorAll('.seed-val').forEach(el => el.innerText = this.core.seed);
+
+        this.updateUI();
+        this.updateModeHud();
+        this.updatePreview();
+    }
 
-        this.activePiece.pieceType = type;
-        Body.setPosition(this.activePiece, { x: this.width / 2, y: 50 });
-        this.activePiece.label = 'active';
-        this.activePiece.spawnTime = Date.now();
-        this.activePiece.lastPos = { x: this.width / 2, y: 50 };
-        this.activePiece.lastMoveTime = Date.now();
-        this.isTouchingPile = false;
-        this.lastActionTime = Date.now();
+    initRenderer() {
+        this.renderer = new GameRenderer(this.container, this.core.width, this.core.height);
+        this.renderer.showGhost = this.settings.ghost;
+        this.renderer.setCore(this.core);
+        this.fitToViewport();
+        this.renderer.run();
+    }
+
+    // Sizes the well to the current core, which may come from a replay or
+    // a save with a different well than the one picked
+    applyWellSize() {
+        const { width, height, rules } = this.core;
+        this.gameContainer.style.width = `${width}px`;
+        this.gameContainer.style.height = `${height}px`;
+        this.deathLine.style.top = `${rules.deathLineY}px`;
+        this.fitToViewport();
+    }
 
-        Composite.add(this.engine.world, this.activePiece);
+    // Only the page scales; the core keeps its own pixel sizes
+    fitToViewport() {
+        const { width, height } = this.core;
+        this.scale = Math.min(MAX_SCALE, window.innerWidth / (width + 32), window.innerHeight / (height + 32));
+        this.gameContainer.style.transform = `scale(${this.scale})`;
+        if (this.renderer) this.renderer.resize(width, height, this.scale);
     }
 
     addEventListeners() {
+        window.addEventListener('resize', () => this.fitToViewport());
+
         window.addEventListener('keydown', (e) => {
-            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Space', 'KeyA', 'KeyD', 'Escape'].includes(e.code)) {
+            // Typing initials or a piece set isn't playing
+            if (e.target.type === 'text' || e.target.tagName === 'TEXTAREA') return;
+            if (this.rebinding) {
                 e.preventDefault();
+                this.finishRebind(e.code);
+                return;
             }
 
-            if (e.code === 'Escape' && !this.isGameOver && this.hasStarted) {
-                this.togglePause();
+            const action = this.inputMapper.actionForKey(e.code);
+            if (action || ['ArrowUp', 'ArrowDown', 'Space'].includes(e.code)) {
+                e.preventDefault();
             }
+
+            if (this.replayPlayer || this.state.is('versus')) return;
+            if (this.bot) {
+                if (action === 'pause') this.returnToMenu();
+                return;
+            }
+
+            if (action === 'pause') this.togglePause();
             this.keys[e.code] = true;
         });
         window.addEventListener('keyup', (e) => this.keys[e.code] = false);
@@ -162,7 +386,14 @@ class Frustris {
 
         this.restartBtn.addEventListener('click', (e) => {
             e.target.blur();
-            location.reload();
+            this.restart();
+        });
+
+        document.querySelectorAll('.menu-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.returnToMenu();
+            });
         });
 
         this.resumeBtn.addEventListener('click', (e) => {
@@ -170,30 +401,857 @@ class Frustris {
             this.togglePause();
         });
 
+        this.endRunBtn.addEventListener('click', (e) => {
+            e.target.blur();
+            this.endRun();
+        });
+
         document.getElementById('play-btn').addEventListener('click', (e) => {
             e.target.blur();
             this.startGame();
         });
 
-        document.getElementById('continue-btn-2').addEventListener('click', (e) => {
+        this.continueBtn = document.getElementById('continue-btn');
+        this.continueBtn.classList.toggle('hidden', !localStorage.getItem(SAVE_KEY));
+        this.continueBtn.addEventListener('click', (e) => {
+            e.target.blur();
+            this.continueGame();
+        });
+
+        // Mobile browsers kill background tabs, so park the run when we lose focus
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'hidden') return;
+            if (this.canSave() && this.state.is('playing')) this.togglePause();
+            else this.saveGame();
+        });
+
+        document.getElementById('watch-ai-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            this.startAttract();
+        });
+
+        document.getElementById('ai-exit').addEventListener('click', () => this.returnToMenu());
+
+        document.getElementById('versus-btn').addEventListener('click', (e) => {
             e.target.blur();
-            this.resumeAfterLevelUp('level-two-splash');
+            this.startVersus();
         });
 
-        document.getElementById('continue-btn-3').addEventListener('click', (e) => {
+        this.initReplayControls();
+        this.initControlsScreen();
+        this.initGameOptions();
+        this.initModeSelector();
+        this.initPieceSets();
+        this.initPuzzles();
+        this.initLeaderboard();
+        this.initStats();
+        this.initAudio();
+
+        this.levelSplash = document.getElementById('level-splash');
+        document.getElementById('level-continue-btn').addEventListener('click', (e) => {
             e.target.blur();
-            this.resumeAfterLevelUp('level-three-splash');
+            this.state.go('playing');
         });
 
         this.initPointerControls();
     }
 
     startGame() {
-        if (this.hasStarted) return;
-        this.hasStarted = true;
-        document.getElementById('start-splash').classList.add('hidden');
-        this.spawnPiece();
-        this.startGameLoop();
+        if (!this.state.is('menu')) return;
+        // Puzzles start from their own list
+        if (modeDefinition(this.settings.mode).puzzle) {
+            this.openPuzzleList();
+            return;
+        }
+        // Rebuild so options changed on the splash take effect; same seed,
+        // except for the daily run
+        const mode = modeDefinition(this.settings.mode);
+        this.newRun(mode.daily ? dailyOptions(dailyKey()).seed : this.core.seed);
+    }
+
+    // Another go in the same mode, with a fresh seed
+    restart() {
+        if (this.puzzle) this.startPuzzle(this.puzzle);
+        else this.newRun(this.newSeed());
+    }
+
+    newRun(seed) {
+        this.clearSave();
+        this.resetRun(seed);
+        this.recorder = new ReplayRecorder(this.core.seed, this.coreOptions());
+        this.state.go('playing');
+    }
+
+    // Whatever was running stops and the start splash comes back
+    returnToMenu() {
+        this.bot = null;
+        this.replayPlayer = null;
+        this.replaySnapshots = [];
+        this.recorder = null;
+        this.puzzle = null;
+        this.pendingEntry = null;
+        this.resetRun(this.newSeed());
+        this.state.go('menu');
+    }
+
+    canSave() {
+        return this.state.is('playing', 'paused', 'levelUp') && !this.isSpectating() && !this.core.isGameOver;
+    }
+
+    saveGame() {
+        if (!this.canSave()) return;
+        localStorage.setItem(SAVE_KEY, JSON.stringify(this.core.serialize()));
+    }
+
+    clearSave() {
+        localStorage.removeItem(SAVE_KEY);
+    }
+
+    continueGame() {
+        if (!this.state.is('menu')) return;
+
+        try {
+            this.core = FrustrisCore.restore(JSON.parse(localStorage.getItem(SAVE_KEY)), this.plugins.hooks);
+        } catch {
+            this.clearSave();
+            this.continueBtn.classList.add('hidden');
+            return;
+        }
+
+        // The inputs before the save are gone, so this run can't be replayed
+        this.recorder = null;
+        this.applyWellSize();
+        this.renderer.setCore(this.core);
+        this.puzzle = this.core.puzzle;
+        this.showPuzzleBanner();
+        this.refreshBest();
+        document.querySelectorAll('.seed-val').forEach(el => el.innerText = this.core.seed);
+
+        this.updateUI();
+        this.updatePreview();
+        this.state.go('playing');
+    }
+
+    initGameOptions() {
+        const randomizerSelect = document.getElementById('randomizer-select');
+        const previewSelect = document.getElementById('preview-select');
+        const materialSelect = document.getElementById('material-select');
+        const wellSelect = document.getElementById('well-select');
+        const ghostToggle = document.getElementById('ghost-toggle');
+        const paletteSelect = document.getElementById('palette-select');
+        const glyphToggle = document.getElementById('glyph-toggle');
+        const motionSelect = document.getElementById('motion-select');
+
+        fillSelect(randomizerSelect, RANDOMIZERS);
+        fillSelect(materialSelect, MATERIAL_RATES);
+        fillSelect(wellSelect, WELL_SIZES);
+        fillSelect(paletteSelect, PALETTES);
+        fillSelect(motionSelect, MOTION_MODES);
+        randomizerSelect.value = this.settings.randomizer;
+        previewSelect.value = this.settings.previewCount;
+        materialSelect.value = this.settings.materials;
+        wellSelect.value = wellSize(this.settings.well).id;
+        ghostToggle.checked = this.settings.ghost;
+        paletteSelect.value = this.settings.palette;
+        glyphToggle.checked = this.settings.glyphs;
+        motionSelect.value = this.settings.motion;
+
+        randomizerSelect.addEventListener('change', () => {
+            this.settings.randomizer = randomizerSelect.value;
+            saveSettings(this.settings);
+        });
+        previewSelect.addEventListener('change', () => {
+            this.settings.previewCount = parseInt(previewSelect.value);
+            saveSettings(this.settings);
+        });
+        materialSelect.addEventListener('change', () => {
+            this.settings.materials = materialSelect.value;
+            saveSettings(this.settings);
+        });
+        wellSelect.addEventListener('change', () => {
+            this.settings.well = wellSelect.value;
+            saveSettings(this.settings);
+            // Show the new well behind the splash
+            this.resetRun(this.core.seed);
+        });
+        ghostToggle.addEventListener('change', () => {
+            this.settings.ghost = ghostToggle.checked;
+            this.renderer.showGhost = ghostToggle.checked;
+            saveSettings(this.settings);
+        });
+
+        paletteSelect.addEventListener('change', () => {
+            this.settings.palette = paletteSelect.value;
+            saveSettings(this.settings);
+            this.applyLook();
+        });
+        glyphToggle.addEventListener('change', () => {
+            this.settings.glyphs = glyphToggle.checked;
+            saveSettings(this.settings);
+            this.applyLook();
+        });
+        motionSelect.addEventListener('change', () => {
+            this.settings.motion = motionSelect.value;
+            saveSettings(this.settings);
+            this.applyLook();
+        });
+        // 'Auto' follows the system setting, even when it changes mid-game
+        window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', () => this.applyLook());
+        this.applyLook();
+    }
+
+    initModeSelector() {
+        const row = document.getElementById('mode-row');
+        const description = document.getElementById('mode-description');
+
+        const select = (id) => {
+            row.querySelectorAll('button').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === id));
+            description.innerText = modeDefinition(id).description;
+        };
+
+        MODES.forEach(({ id, label }) => {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.dataset.mode = id;
+            btn.innerText = label.toUpperCase();
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.settings.mode = id;
+                saveSettings(this.settings);
+                select(id);
+                // Show this mode's best behind the splash
+                this.resetRun(this.core.seed);
+            });
+            row.appendChild(btn);
+        });
+        select(this.settings.mode);
+    }
+
+    initPieceSets() {
+        this.pieceSetSelect = document.getElementById('piece-set-select');
+        this.pieceEditor = new PieceEditor(document.getElementById('piece-editor-modal'), {
+            onChange: (id) => this.selectPieceSet(id || 'tetrominoes')
+        });
+
+        this.fillPieceSets();
+        this.pieceSetSelect.addEventListener('change', () => this.selectPieceSet(this.pieceSetSelect.value));
+
+        document.getElementById('piece-editor-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            const custom = allPieceSets().find(set => set.id === this.settings.pieceSet && set.custom);
+            this.pieceEditor.open(custom ? custom.id : null);
+        });
+    }
+
+    // Custom sets come and go, so the list is rebuilt whenever one does
+    fillPieceSets() {
+        const sets = allPieceSets();
+        this.pieceSetSelect.innerHTML = '';
+        fillSelect(this.pieceSetSelect, sets);
+        if (!sets.some(set => set.id === this.settings.pieceSet)) this.settings.pieceSet = 'tetrominoes';
+        this.pieceSetSelect.value = this.settings.pieceSet;
+    }
+
+    selectPieceSet(id) {
+        this.settings.pieceSet = id;
+        this.fillPieceSets();
+        saveSettings(this.settings);
+        // Show the new pieces behind the splash
+        if (this.state.is('menu')) this.resetRun(this.core.seed);
+    }
+
+    initStats() {
+        const modal = document.getElementById('stats-modal');
+
+        document.getElementById('stats-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            const { runs, stats } = loadLifetimeStats();
+            document.getElementById('stats-runs').innerText = `${runs} finished ${runs === 1 ? 'run' : 'runs'}`;
+            renderStats(document.getElementById('lifetime-stats'), stats);
+            modal.classList.remove('hidden');
+        });
+
+        document.getElementById('stats-done').addEventListener('click', (e) => {
+            e.target.blur();
+            modal.classList.add('hidden');
+        });
+    }
+
+    initAudio() {
+        const muteToggle = document.getElementById('mute-toggle');
+        const sliders = this.controlsModal.querySelectorAll('[data-volume]');
+
+        this.audio.setVolumes(this.settings.audio || {});
+        sliders.forEach(slider => {
+            slider.value = this.audio.volumes[slider.dataset.volume];
+            slider.addEventListener('input', () => {
+                this.saveVolumes({ [slider.dataset.volume]: parseFloat(slider.value) });
+                this.audio.play('spawn');
+            });
+        });
+        muteToggle.checked = this.audio.volumes.muted;
+        muteToggle.addEventListener('change', () => this.saveVolumes({ muted: muteToggle.checked }));
+
+        // Web Audio stays silent until the page has been interacted with
+        const unlock = () => this.audio.unlock();
+        window.addEventListener('pointerdown', unlock);
+        window.addEventListener('keydown', unlock);
+    }
+
+    saveVolumes(changes) {
+        this.audio.setVolumes({ ...this.audio.volumes, ...changes });
+        this.settings.audio = { ...this.audio.volumes };
+        saveSettings(this.settings);
+    }
+
+    initPuzzles() {
+        this.puzzleModal = document.getElementById('puzzle-modal');
+        this.puzzleList = document.getElementById('puzzle-list');
+        this.puzzleBanner = document.getElementById('puzzle-banner');
+        this.puzzleActions = document.getElementById('puzzle-actions');
+        this.pauseRetryBtn = document.getElementById('pause-retry-btn');
+        const fileInput = document.getElementById('puzzle-file');
+
+        document.getElementById('puzzle-load-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                try {
+                    this.startPuzzle(parsePuzzle(text));
+                } catch (err) {
+                    alert(err.message);
+                }
+            });
+            fileInput.value = '';
+        });
+
+        document.getElementById('puzzle-back-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            this.puzzleModal.classList.add('hidden');
+            if (this.state.is('gameOver')) this.gameOverScreen.classList.remove('hidden');
+        });
+
+        document.getElementById('puzzle-next-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            const next = this.nextPuzzle();
+            if (next) this.startPuzzle(next);
+        });
+
+        document.getElementById('puzzle-list-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            this.gameOverScreen.classList.add('hidden');
+            this.openPuzzleList();
+        });
+
+        this.pauseRetryBtn.addEventListener('click', (e) => {
+            e.target.blur();
+            this.startPuzzle(this.puzzle);
+        });
+    }
+
+    openPuzzleList() {
+        const solved = loadSolved();
+        this.puzzleList.innerHTML = '';
+
+        PUZZLES.forEach((puzzle, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'puzzle-btn';
+            btn.classList.toggle('solved', solved.includes(puzzle.id));
+
+            const title = document.createElement('span');
+            title.innerText = `${i + 1}. ${puzzle.title}`;
+            btn.appendChild(title);
+
+            const goal = document.createElement('small');
+            goal.innerText = describeGoal(puzzle.goal);
+            btn.appendChild(goal);
+
+            btn.addEventListener('click', (e) => {
+                e.currentTarget.blur();
+                this.startPuzzle(puzzle);
+            });
+            this.puzzleList.appendChild(btn);
+        });
+
+        this.puzzleModal.classList.remove('hidden');
+    }
+
+    // Builds the scenario in place, so retrying needs no reload
+    startPuzzle(puzzle) {
+        this.puzzle = puzzle;
+        this.clearSave();
+
+        this.puzzleModal.classList.add('hidden');
+        const options = { ...this.coreOptions('puzzle'), ...puzzleOptions(puzzle) };
+        this.resetRun(this.core.seed, options);
+        this.recorder = new ReplayRecorder(this.core.seed, options);
+        this.showPuzzleBanner();
+        this.state.go('playing');
+    }
+
+    // The bundled puzzle after the current one; loaded puzzles have none
+    nextPuzzle() {
+        const index = this.puzzle ? PUZZLES.findIndex(p => p.id === this.puzzle.id) : -1;
+        return index === -1 ? null : PUZZLES[index + 1] || null;
+    }
+
+    showPuzzleBanner() {
+        this.puzzleBanner.classList.toggle('hidden', !this.puzzle);
+        this.pauseRetryBtn.classList.toggle('hidden', !this.puzzle);
+        if (!this.puzzle) return;
+        this.puzzleBanner.querySelector('.puzzle-title').innerText = this.puzzle.title.toUpperCase();
+        this.puzzleBanner.querySelector('.puzzle-hint').innerText = `${this.puzzle.hint} ${describeGoal(this.puzzle.goal)}`;
+    }
+
+    initLeaderboard() {
+        this.leaderboardModal = document.getElementById('leaderboard-modal');
+        this.leaderboardTabs = document.getElementById('leaderboard-tabs');
+        this.leaderboardWells = document.getElementById('leaderboard-wells');
+        this.leaderboardBody = document.getElementById('leaderboard-body');
+        this.leaderboardStatus = document.getElementById('leaderboard-status');
+        this.nameEntry = document.getElementById('name-entry');
+        this.nameInput = document.getElementById('name-entry-input');
+        const fileInput = document.getElementById('leaderboard-file');
+
+        // One tab per ranked mode, then the recent runs
+        const tabs = [...MODES.filter(m => hasLeaderboard(m.id)), { id: 'recent', label: 'Recent' }];
+        tabs.forEach(({ id, label }) => {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.dataset.tab = id;
+            btn.innerText = label.toUpperCase();
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.renderLeaderboard(id);
+            });
+            this.leaderboardTabs.appendChild(btn);
+        });
+
+        // Each well size has its own tables
+        WELL_SIZES.forEach(({ id, label }) => {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.dataset.well = id;
+            btn.innerText = label.toUpperCase();
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.leaderboardWell = id;
+                this.renderLeaderboard(this.leaderboardTab);
+            });
+            this.leaderboardWells.appendChild(btn);
+        });
+
+        document.querySelectorAll('.leaderboard-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.openLeaderboard();
+            });
+        });
+
+        document.getElementById('leaderboard-done').addEventListener('click', (e) => {
+            e.target.blur();
+            this.leaderboardModal.classList.add('hidden');
+        });
+
+        document.getElementById('leaderboard-export').addEventListener('click', (e) => {
+            e.target.blur();
+            downloadJSON(exportLeaderboard(), 'frustris-leaderboard.json');
+        });
+
+        document.getElementById('leaderboard-import').addEventListener('click', (e) => {
+            e.target.blur();
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                try {
+                    const added = importLeaderboard(text);
+                    this.leaderboardStatus.innerText = `Merged ${added} new ${added === 1 ? 'entry' : 'entries'}.`;
+                } catch (err) {
+                    this.leaderboardStatus.innerText = err.message;
+                }
+                this.renderLeaderboard(this.leaderboardTab);
+                this.refreshBest();
+                this.updateUI();
+            });
+            fileInput.value = '';
+        });
+
+        document.getElementById('name-entry-save').addEventListener('click', (e) => {
+            e.target.blur();
+            this.submitEntry();
+        });
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.code === 'Enter' || e.code === 'NumpadEnter') this.submitEntry();
+        });
+    }
+
+    // run picks the table for a run's own day or well instead of the current one
+    openLeaderboard(tab = hasLeaderboard(this.settings.mode) ? this.settings.mode : MODES[0].id, highlight = null, run = {}) {
+        this.leaderboardStatus.innerText = '';
+        this.leaderboardWell = run.width ? wellOf(run).id : wellSize(this.settings.well).id;
+        this.renderLeaderboard(tab, highlight, run);
+        this.leaderboardModal.classList.remove('hidden');
+    }
+
+    renderLeaderboard(tab, highlight = null, run = {}) {
+        this.leaderboardTab = tab;
+        this.leaderboardTabs.querySelectorAll('button').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+
+        const recent = tab === 'recent';
+        this.leaderboardWells.classList.toggle('hidden', recent || modeDefinition(tab).daily);
+        this.leaderboardWells.querySelectorAll('button').forEach(btn => btn.classList.toggle('active', btn.dataset.well === this.leaderboardWell));
+
+        const entries = recent ? loadHistory() : loadTable(tableKey(tab, { ...wellSize(this.leaderboardWell), day: run.day }));
+        const duration = (ms) => ms === null ? '-' : formatTime(ms);
+        const date = (iso) => iso ? iso.slice(0, 10) : '-';
+
+        this.leaderboardBody.innerHTML = '';
+        entries.forEach((entry, i) => {
+            const cells = [
+                recent ? modeDefinition(entry.mode).label : `${i + 1}`,
+                entry.initials || '-',
+                entry.score,
+                entry.level ?? '-',
+                duration(entry.durationMs),
+                date(entry.date)
+            ];
+            const row = document.createElement('tr');
+            if (entry.seed !== null) row.title = `Seed ${entry.seed}`;
+            row.classList.toggle('highlight', i === highlight);
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.innerText = text;
+                row.appendChild(cell);
+            });
+            this.leaderboardBody.appendChild(row);
+        });
+
+        this.leaderboardModal.querySelector('.rank-col').innerText = recent ? 'MODE' : '#';
+        document.getElementById('leaderboard-empty').classList.toggle('hidden', entries.length > 0);
+    }
+
+    // Logs the run and, if it makes its table, asks for initials
+    offerEntry(reason, ticks) {
+        const mode = this.core.mode;
+        const entry = {
+            initials: '',
+            score: this.core.score,
+            level: this.core.currentLevel,
+            durationMs: Math.round(ticks * STEP_MS),
+            date: new Date().toISOString(),
+            seed: this.core.seed
+        };
+        recordRun({ ...entry, initials: this.settings.initials, mode: mode.id, reason });
+
+        // An unfinished sprint has no time to rank
+        const rank = mode.best === 'time' && reason !== 'goal' ? -1 : rankFor(mode.id, entry, this.core.options);
+        this.pendingEntry = rank === -1 ? null : entry;
+        this.nameEntry.classList.toggle('hidden', rank === -1);
+        if (rank === -1) return;
+
+        const well = wellOf(this.core.options);
+        const board = mode.daily || well.id === 'classic' ? mode.label : `${mode.label} ${well.label}`;
+        document.getElementById('name-entry-rank').innerText = `#${rank + 1} ON THE ${board.toUpperCase()} BOARD`;
+        this.nameInput.value = this.settings.initials;
+        this.nameInput.focus();
+    }
+
+    submitEntry() {
+        if (!this.pendingEntry) return;
+        const initials = this.nameInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3) || '???';
+        this.settings.initials = initials;
+        saveSettings(this.settings);
+
+        const modeId = this.core.mode.id;
+        const rank = addEntry(modeId, { ...this.pendingEntry, initials }, this.core.options);
+        this.pendingEntry = null;
+        this.nameInput.blur();
+        this.nameEntry.classList.add('hidden');
+        this.openLeaderboard(modeId, rank, this.core.options);
+    }
+
+    // Colour-blind and reduced-motion settings
+    applyLook() {
+        this.reducedMotion = isReducedMotion(this.settings.motion);
+        document.body.classList.toggle('reduced-motion', this.reducedMotion);
+
+        this.renderer.palette = this.settings.palette;
+        this.renderer.showGlyphs = this.settings.glyphs;
+        this.renderer.reducedMotion = this.reducedMotion;
+        this.updatePreview();
+    }
+
+    previewLook() {
+        return { palette: this.settings.palette, glyphs: this.settings.glyphs, shapes: this.core.shapes };
+    }
+
+    initControlsScreen() {
+        this.controlsModal = document.getElementById('controls-modal');
+        this.bindingList = document.getElementById('binding-list');
+        this.gamepadStatus = document.getElementById('gamepad-status');
+
+        document.querySelectorAll('.controls-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.renderControls();
+                this.controlsModal.classList.remove('hidden');
+            });
+        });
+
+        document.getElementById('controls-done').addEventListener('click', (e) => {
+            e.target.blur();
+            this.rebinding = null;
+            this.controlsModal.classList.add('hidden');
+        });
+
+        document.getElementById('controls-reset').addEventListener('click', (e) => {
+            e.target.blur();
+            this.inputMapper.reset();
+            this.saveControls();
+        });
+
+        this.controlsModal.querySelectorAll('[data-handling]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                this.inputMapper.handling[slider.dataset.handling] = parseFloat(slider.value);
+                this.saveControls();
+            });
+        });
+
+        window.addEventListener('gamepadconnected', () => this.renderControls());
+        window.addEventListener('gamepaddisconnected', () => this.renderControls());
+
+        this.renderKeyHints();
+    }
+
+    renderControls() {
+        this.bindingList.innerHTML = '';
+
+        BINDABLE_ACTIONS.forEach(({ action, label }) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+
+            const name = document.createElement('span');
+            name.innerText = label;
+            row.appendChild(name);
+
+            const waiting = (device) => this.rebinding && this.rebinding.action === action && this.rebinding.device === device;
+
+            const keyBtn = document.createElement('button');
+            keyBtn.className = 'binding-btn';
+            keyBtn.innerText = waiting('key') ? '...' : this.inputMapper.bindings[action].map(describeKey).join(' / ');
+            keyBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.startRebind(action, 'key');
+            });
+            row.appendChild(keyBtn);
+
+            const padBtn = document.createElement('button');
+            padBtn.className = 'binding-btn';
+            padBtn.innerText = waiting('pad') ? '...' : this.inputMapper.padBindings[action].map(b => `B${b}`).join(' / ');
+            padBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.startRebind(action, 'pad');
+            });
+            row.appendChild(padBtn);
+
+            this.bindingList.appendChild(row);
+        });
+
+        this.controlsModal.querySelectorAll('[data-handling]').forEach(slider => {
+            slider.value = this.inputMapper.handling[slider.dataset.handling];
+        });
+
+        const pad = getGamepad(0);
+        this.gamepadStatus.innerText = pad ? `Gamepad: ${pad.id}` : 'No gamepad connected';
+    }
+
+    startRebind(action, device) {
+        this.rebinding = { action, device };
+        this.renderControls();
+        if (device !== 'pad') return;
+
+        // Wait for every button to be released, then take the next press
+        let armed = false;
+        const poll = () => {
+            if (!this.rebinding || this.rebinding.device !== 'pad') return;
+            const pad = getGamepad(0);
+            const pressed = pad ? pad.buttons.findIndex(b => b.pressed) : -1;
+            if (pressed === -1) armed = true;
+            else if (armed) {
+                this.finishRebind(pressed);
+                return;
+            }
+            requestAnimationFrame(poll);
+        };
+        requestAnimationFrame(poll);
+    }
+
+    finishRebind(codeOrButton) {
+        const { action, device } = this.rebinding;
+        this.rebinding = null;
+
+        if (device === 'key') {
+            if (codeOrButton !== 'Escape' || action === 'pause') this.inputMapper.bindKey(action, codeOrButton);
+        } else {
+            this.inputMapper.bindPadButton(action, codeOrButton);
+        }
+        this.keys = {};
+        this.saveControls();
+    }
+
+    saveControls() {
+        Object.assign(this.settings, this.inputMapper.toSettings());
+        saveSettings(this.settings);
+        this.renderControls();
+        this.renderKeyHints();
+    }
+
+    renderKeyHints() {
+        const keys = (action) => this.inputMapper.bindings[action].map(describeKey).join('/');
+        const moves = `${keys('left')}${keys('right')} / ${keys('rotateLeft')} / ${keys('rotateRight')} / ${keys('hardDrop')} / ${keys('hold')}`;
+        document.querySelectorAll('.keys-hint').forEach(el => el.innerText = moves);
+        document.querySelectorAll('.pause-hint').forEach(el => el.innerText = keys('pause').toUpperCase());
+    }
+
+    startAttract() {
+        if (!this.state.is('menu')) return;
+        this.bot = new BotController(new HeuristicBot());
+        this.resetRun(randomSeed(), this.coreOptions('endless'));
+        document.getElementById('ai-banner').classList.remove('hidden');
+        this.state.go('playing');
+    }
+
+    startVersus() {
+        this.state.go('versus');
+    }
+
+    isSpectating() {
+        return !!(this.replayPlayer || this.bot);
+    }
+
+    initReplayControls() {
+        const fileInput = document.getElementById('replay-file');
+        this.replayBar = document.getElementById('replay-bar');
+        this.replayScrub = document.getElementById('replay-scrub');
+        this.replayTime = document.getElementById('replay-time');
+        this.replayToggle = document.getElementById('replay-toggle');
+
+        document.getElementById('watch-replay-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                try {
+                    this.startReplay(parseReplay(text));
+                } catch (err) {
+                    alert(err.message);
+                }
+            });
+            fileInput.value = '';
+        });
+
+        document.querySelectorAll('.save-replay-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.downloadReplay();
+            });
+        });
+
+        document.getElementById('rewatch-btn').addEventListener('click', (e) => {
+            e.target.blur();
+            if (this.recorder) this.startReplay(this.recorder.toJSON());
+        });
+
+        this.replayToggle.addEventListener('click', (e) => {
+            e.target.blur();
+            this.state.go(this.state.is('paused') ? 'playing' : 'paused');
+        });
+
+        this.replayBar.querySelectorAll('[data-speed]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.replaySpeed = parseFloat(btn.dataset.speed);
+                this.updateReplayBar();
+            });
+        });
+
+        // Dragging only shows where it'll go; the seek happens on release
+        this.replayScrub.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.updateReplayTime(parseInt(this.replayScrub.value));
+        });
+        this.replayScrub.addEventListener('change', () => {
+            this.isScrubbing = false;
+            this.seekReplay(parseInt(this.replayScrub.value));
+        });
+
+        document.getElementById('replay-exit').addEventListener('click', () => this.returnToMenu());
+    }
+
+    downloadReplay() {
+        if (!this.recorder) return;
+        downloadJSON(this.recorder.toJSON(), `frustris-${this.recorder.seed}.json`);
+    }
+
+    startReplay(data) {
+        this.replayPlayer = new ReplayPlayer(data);
+        this.recorder = null;
+        this.puzzle = null;
+
+        this.state.go('playing');
+        this.showPuzzleBanner();
+        this.replayBar.classList.remove('hidden');
+        this.replayScrub.max = this.replayPlayer.length;
+        this.resetRun(this.replayPlayer.seed, this.replayPlayer.options);
+        this.replaySnapshots = [this.core.fork()];
+        this.updateReplayBar();
+    }
+
+    // The simulation only runs forwards: seeking back starts again from the
+    // last snapshot before the target, then plays on to it
+    seekReplay(targetTick) {
+        this.isSeeking = true;
+        if (targetTick < this.core.tick) {
+            const snapshot = this.replaySnapshots.filter(core => core.tick <= targetTick).pop();
+            this.replayPlayer.rewind();
+            this.useCore(snapshot.fork());
+        }
+        while (this.core.tick < targetTick && !this.core.isGameOver) {
+            this.step();
+        }
+        this.isSeeking = false;
+        this.updateUI();
+        this.updateReplayBar();
+    }
+
+    updateReplayBar() {
+        if (!this.replayPlayer) return;
+        if (!this.isScrubbing) {
+            this.replayScrub.value = this.core.tick;
+            this.updateReplayTime(this.core.tick);
+        }
+        this.replayToggle.innerText = this.state.is('paused') ? '▶' : '||';
+        this.replayBar.querySelectorAll('[data-speed]').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === this.replaySpeed);
+        });
+    }
+
+    updateReplayTime(tick) {
+        const seconds = (ticks) => (ticks * STEP_MS / 1000).toFixed(1);
+        this.replayTime.innerText = `${seconds(tick)}s / ${seconds(this.replayPlayer.length)}s`;
     }
 
     initPointerControls() {
@@ -205,57 +1263,61 @@ class Frustris {
         let hasMoved = false;
         let isDragging = false;
 
-        const onStart = (clientX, clientY) => {
-            lastX = clientX;
-            lastY = clientY;
+        // Drags are measured in well pixels, however big the page shows the well
+        const toWell = (e) => {
+            const rect = this.renderer.canvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left) * this.core.width / rect.width,
+                y: (e.clientY - rect.top) * this.core.height / rect.height
+            };
+        };
+
+        const onStart = ({ x, y }) => {
+            lastX = x;
+            lastY = y;
             hasMoved = false;
             isDragging = true;
         };
 
-        const onMove = (clientX, clientY) => {
-            if (this.isPaused || !this.activePiece || !isDragging) return;
+        const onMove = ({ x, y }) => {
+            if (!this.state.is('playing') || this.isSpectating() || !this.core.activePiece || !isDragging) return;
 
-            const dx = clientX - lastX;
-            const dy = clientY - lastY;
+            const dx = x - lastX;
+            const dy = y - lastY;
 
-            const moveSensitivity = 1.0;
-            const rotateSensitivity = 0.05;
+            const { moveSensitivity, rotateSensitivity } = this.inputMapper.handling;
 
+            // Queued and applied on the next tick so the replay sees it too
             if (Math.abs(dx) > 1) {
-                const newX = this.activePiece.position.x + (dx * moveSensitivity);
-                const clampedX = Math.max(20, Math.min(this.width - 20, newX));
-                Body.setPosition(this.activePiece, { x: clampedX, y: this.activePiece.position.y });
+                this.pendingDrag.dx += dx * moveSensitivity;
                 hasMoved = true;
             }
 
             if (Math.abs(dy) > 1) {
-                Body.rotate(this.activePiece, dy * rotateSensitivity);
+                this.pendingDrag.rot += dy * rotateSensitivity;
                 hasMoved = true;
             }
 
-            lastX = clientX;
-            lastY = clientY;
+            lastX = x;
+            lastY = y;
         };
 
         const onEnd = () => {
-            if (this.isPaused || !this.hasStarted || !isDragging) {
+            if (!this.state.is('playing') || this.isSpectating() || !isDragging) {
                 isDragging = false;
                 return;
             }
 
-            if (!hasMoved) {
-                this.keys['Space'] = true;
-                setTimeout(() => { this.keys['Space'] = false; }, 50);
-            }
+            if (!hasMoved) this.pendingHardDrop = true;
             isDragging = false;
         };
 
         // Pointer Events (Unified Mouse/Touch)
         touchZone.addEventListener('pointerdown', (e) => {
-            onStart(e.clientX, e.clientY);
+            onStart(toWell(e));
 
             // Listen on window to catch movement even outside the canvas
-            const moveHandler = (moveEv) => onMove(moveEv.clientX, moveEv.clientY);
+            const moveHandler = (moveEv) => onMove(toWell(moveEv));
             const upHandler = () => {
                 onEnd();
                 window.removeEventListener('pointermove', moveHandler);
@@ -273,202 +1335,245 @@ class Frustris {
 
         mobilePause.addEventListener('click', (e) => {
             e.target.blur();
-            if (this.hasStarted) this.togglePause();
+            if (!this.isSpectating()) this.togglePause();
         });
     }
 
     togglePause() {
-        if (!this.hasStarted) return;
-        this.isPaused = !this.isPaused;
-        if (this.isPaused) {
-            this.pauseModal.classList.remove('hidden');
-            this.runner.enabled = false;
-        } else {
-            this.pauseModal.classList.add('hidden');
-            this.runner.enabled = true;
-        }
+        if (this.state.is('playing')) this.state.go('paused');
+        else if (this.state.is('paused')) this.state.go('playing');
     }
 
-    handleInput() {
-        if (!this.activePiece || this.isGameOver || this.isPaused) return;
-
-        const moveSpeed = 6;
-        const rotateSpeed = 0.08;
-        let vx = 0;
-
-        if (this.keys['ArrowLeft']) vx = -moveSpeed;
-        if (this.keys['ArrowRight']) vx = moveSpeed;
-
-        Body.setVelocity(this.activePiece, { x: vx, y: this.activePiece.velocity.y });
+    collectInput() {
+        const input = this.inputMapper.readGamepad(getGamepad(0), this.inputMapper.readKeys(this.keys));
 
-        if (this.keys['KeyA']) Body.rotate(this.activePiece, -rotateSpeed);
-        if (this.keys['KeyD']) Body.rotate(this.activePiece, rotateSpeed);
-        if (this.keys['ArrowDown']) Body.setVelocity(this.activePiece, { x: this.activePiece.velocity.x, y: 8 });
+        const drag = quantizeDrag({ dx: input.moveX + this.pendingDrag.dx, rot: input.rotate + this.pendingDrag.rot });
+        input.moveX = drag.dx;
+        input.rotate = drag.rot;
+        input.hardDrop = input.hardDrop || this.pendingHardDrop;
+        this.pendingDrag = { dx: 0, rot: 0 };
+        this.pendingHardDrop = false;
+        return input;
+    }
 
-        if (this.keys['Space']) {
-            if (!this.isTouchingPile) {
-                Body.setVelocity(this.activePiece, { x: this.activePiece.velocity.x, y: 15 });
-            } else {
-                Body.setVelocity(this.activePiece, { x: this.activePiece.velocity.x, y: 0.01 });
-            }
+    pollGamepadPause() {
+        const pressed = this.inputMapper.isPadPausePressed(getGamepad(0));
+        if (pressed && !this.padPauseHeld && !this.isSpectating()) {
+            this.togglePause();
         }
-
-        const pos = this.activePiece.position;
-        if (pos.x < 15) Body.setPosition(this.activePiece, { x: 15, y: pos.y });
-        if (pos.x > this.width - 15) Body.setPosition(this.activePiece, { x: this.width - 15, y: pos.y });
+        this.padPauseHeld = pressed;
     }
 
-    checkSettle() {
-        if (this.isPaused || this.isGameOver) return;
+    step() {
+        let input;
+        if (this.replayPlayer) input = this.replayPlayer.inputAt(this.core.tick);
+        else if (this.bot) input = this.bot.getInput(this.core);
+        else input = this.collectInput();
 
-        const now = Date.now();
+        if (this.recorder && !this.core.isGameOver) this.recorder.record(this.core.tick, input);
 
-        if (this.activePiece) {
-            const bodies = this.engine.world.bodies;
-            const obstacles = [];
-            for (let i = 0; i < bodies.length; i++) {
-                if (bodies[i].label === 'settled' || bodies[i].label === 'ground') {
-                    obstacles.push(bodies[i]);
-                }
-            }
-
-            const isTouching = Matter.Query.collides(this.activePiece, obstacles).length > 0;
-            this.isTouchingPile = isTouching;
-
-            const speed = this.activePiece.speed;
-            const pos = this.activePiece.position;
+        this.dispatch(this.core.step(input));
+        const lastSnapshot = this.replayPlayer && this.replaySnapshots[this.replaySnapshots.length - 1];
+        if (lastSnapshot && this.core.tick >= lastSnapshot.tick + SNAPSHOT_TICKS) {
+            this.replaySnapshots.push(this.core.fork());
+        }
+    }
 
-            const distMoved = Vector.magnitude(Vector.sub(pos, this.activePiece.lastPos));
-            if (distMoved > 2) {
-                this.activePiece.lastPos = { x: pos.x, y: pos.y };
-                this.activePiece.lastMoveTime = now;
+    // Sends the core's events to everything that watches the game
+    dispatch(events) {
+        events.forEach(event => {
+            if (!this.isSeeking) {
+                this.renderer.handleEvent(event);
+                this.audio.handleEvent(event);
             }
-            const timeStagnant = now - this.activePiece.lastMoveTime;
+            this.handleEvent(event);
+            this.bus.emit(event);
+        });
+    }
 
-            const isStuck = timeStagnant > 1500 && pos.y > 200;
-            const atBottom = pos.y > this.height - 100;
+    // Zen never ends on its own, so its runs are finished from the pause
+    // menu, to be ranked and counted like any other
+    endRun() {
+        if (!this.state.is('paused') || !this.core.mode.noGameOver || this.isSpectating()) return;
+        this.dispatch(this.core.endRun());
+    }
 
-            if ((speed < 1.2 && isTouching) || atBottom || isStuck) {
-                this.activePiece.label = 'settled';
-                this.activePiece = null;
-                this.score += 10;
-                this.lastActionTime = now;
+    handleEvent(event) {
+        switch (event.type) {
+            case 'pieceHeld':
+            case 'pieceSpawned':
+                if (this.bot) this.bot.onSpawn(this.core);
+                this.updatePreview();
+                break;
+            case 'scoreChanged':
                 this.updateUI();
-                this.checkClears();
-                setTimeout(() => this.spawnPiece(), 300);
-            }
+                break;
+            case 'levelUp':
+                this.levelUp(event);
+                break;
+            case 'gameOver':
+                this.triggerGameOver(event);
+                break;
         }
+    }
 
-        const bodies = Composite.allBodies(this.engine.world);
-        let movingCount = 0;
-        let minY = this.height;
-
-        for (let i = 0; i < bodies.length; i++) {
-            const b = bodies[i];
-            if (b.label === 'settled') {
-                if (b.speed > 1.5) movingCount++;
-                if (b.position.y < minY) minY = b.position.y;
-            }
+    triggerGameOver({ reason, ticks }) {
+        if (this.replayPlayer) {
+            this.showSpecialBonus('GAME OVER');
+            return;
         }
-
-        const anyMoving = movingCount > 0;
-
-        if (this.wasMoving && !anyMoving) {
-            this.checkClears();
-            this.lastActionTime = now;
+        // Attract mode just keeps going with a fresh pile
+        if (this.bot) {
+            this.showSpecialBonus('GAME OVER');
+            this.later(() => this.resetRun(randomSeed(), this.coreOptions('endless')), 3000);
+            return;
         }
-        this.wasMoving = anyMoving;
-
-        const heightOfPile = this.height - minY;
-        const pilePercent = Math.max(0, Math.min(100, (heightOfPile / (this.height * 0.8)) * 100));
-        this.pileMeter.style.width = `${pilePercent}%`;
-        this.pileMeter.style.background = pilePercent > 85 ? 'var(--danger)' : 'var(--accent-secondary)';
+        this.state.go('gameOver', { reason, ticks });
+    }
 
-        if (!this.activePiece && !anyMoving && (now - this.lastActionTime > 800)) {
-            this.spawnPiece();
+    showGameOver({ reason, ticks }) {
+        this.clearSave();
+
+        let title = 'GAME OVER';
+        let text = 'The pile reached the top.';
+        const next = this.nextPuzzle();
+        this.puzzleActions.classList.toggle('hidden', !this.puzzle);
+        document.getElementById('puzzle-next-btn').classList.toggle('hidden', !next || reason !== 'goal');
+
+        if (this.puzzle) {
+            if (reason === 'goal') {
+                markSolved(this.puzzle.id);
+                title = 'SOLVED';
+                text = `${this.puzzle.title}, done.`;
+                this.refreshBest();
+                this.updateUI();
+            } else if (reason === 'outOfPieces') {
+                title = 'OUT OF PIECES';
+                text = this.puzzle.hint;
+            }
+        } else if (reason === 'goal') {
+            const timeMs = ticks * STEP_MS;
+            const isBest = recordResult(this.core.mode.id, { timeMs }, this.core.options);
+            title = 'SPRINT CLEAR';
+            text = `${this.core.mode.goalGroups} groups in ${formatTime(timeMs)}${isBest ? ' - a new best!' : ''}`;
+            this.refreshBest();
+            this.updateUI();
+        } else if (reason === 'timeUp') {
+            title = 'TIME UP';
+            text = 'That\'s three minutes.';
+        } else if (reason === 'ended') {
+            title = 'RUN ENDED';
+            text = 'You called it a day.';
         }
-    }
 
-    triggerGameOver() {
-        if (this.isGameOver) return;
-        this.isGameOver = true;
+        this.gameOverTitle.innerText = title;
+        this.gameOverText.innerText = text;
         this.gameOverScreen.classList.remove('hidden');
-        this.finalScoreElement.innerText = this.score;
-        this.activePiece = null;
+        this.finalScoreElement.innerText = this.core.score;
+        renderStats(document.getElementById('game-over-stats'), this.core.stats);
+        // Only finished runs count; a paused one can still be continued
+        recordLifetimeStats(this.core.stats);
+        this.offerEntry(reason, ticks);
     }
 
-    updateUI() {
-        this.scoreElement.innerText = this.score.toString().padStart(6, '0');
+    refreshBest() {
+        this.best = loadBest(this.core.mode.id, this.core.options);
+        this.initialBest = this.best;
+        this.highScoreBroken = false;
+    }
 
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            localStorage.setItem('frustris_highscore', this.highScore);
+    updateUI() {
+        const score = this.core.score;
+        const mode = this.core.mode;
+        this.scoreElement.innerText = score.toString().padStart(6, '0');
+
+        // Score bests are kept up to date live; times only count once a run is done
+        if (mode.best === 'score' && score > 0 && !this.isSpectating() && isBetter(mode.id, { score }, this.best)) {
+            this.best = { score };
+            recordResult(mode.id, this.best, this.core.options);
             // Only shout if we beat a non-zero record from previous sessions
-            if (!this.highScoreBroken && this.sessionInitialHighScore > 0 && this.score > this.sessionInitialHighScore) {
+            if (!this.highScoreBroken && this.initialBest && this.initialBest.score > 0) {
                 this.highScoreBroken = true;
                 this.showSpecialBonus('HIGH SCORE!');
+                this.audio.play('highScore');
             }
         }
 
-        this.highScoreElement.innerText = this.highScore.toString().padStart(6, '0');
+        if (mode.best === 'solved') {
+            this.highScoreLabel.innerText = 'SOLVED';
+            this.highScoreElement.innerText = `${loadSolved().filter(id => PUZZLES.some(p => p.id === id)).length}/${PUZZLES.length}`;
+        } else if (mode.best === 'time') {
+            this.highScoreLabel.innerText = 'BEST TIME';
+            this.highScoreElement.innerText = this.best ? formatTime(this.best.timeMs) : '-:--.-';
+        } else {
+            this.highScoreLabel.innerText = mode.daily ? 'TODAY\'S BEST' : 'HIGH SCORE';
+            this.highScoreElement.innerText = (this.best ? this.best.score : 0).toString().padStart(6, '0');
+        }
+    }
 
-        if (this.currentLevel === 1 && this.score >= 5000) {
-            this.levelUp(2);
-        } else if (this.currentLevel === 2 && this.score >= 10000) {
-            this.levelUp(3);
+    // Sprint shows its progress and clock, Ultra its countdown, a puzzle its
+    // goal and the pieces left
+    updateModeHud() {
+        const mode = this.core.mode;
+        const puzzle = this.core.puzzle;
+        if (puzzle) {
+            const target = goalTarget(puzzle.goal);
+            this.modeStatLabel.innerText = `GOAL ${Math.min(this.core.puzzleProgress, target)}/${target}`;
+            const left = this.core.queue.length + (this.core.activePiece ? 1 : 0) + (this.core.heldPieceType ? 1 : 0);
+            this.modeStatValue.innerText = `${left} LEFT`;
+        } else if (mode.goalGroups) {
+            this.modeStatLabel.innerText = `GROUPS ${Math.min(this.core.groupsCleared, mode.goalGroups)}/${mode.goalGroups}`;
+            this.modeStatValue.innerText = formatTime(this.core.tick * STEP_MS);
+        } else if (this.core.timeLimitTicks !== null) {
+            this.modeStatLabel.innerText = 'TIME LEFT';
+            this.modeStatValue.innerText = formatTime(this.core.timeLeftTicks() * STEP_MS);
         }
+        this.modeStat.classList.toggle('hidden', !puzzle && !mode.goalGroups && this.core.timeLimitTicks === null);
+    }
+
+    updatePileMeter() {
+        const pilePercent = this.core.pilePercent;
+        this.audio.setPileLevel(pilePercent);
+        this.pileMeter.style.width = `${pilePercent}%`;
+        this.pileMeter.style.background = pilePercent > 85 ? 'var(--danger)' : 'var(--accent-secondary)';
+    }
+
+    updateDanger() {
+        const ticksLeft = this.core.dangerTicksLeft();
+        const inDanger = ticksLeft !== null && !this.core.isGameOver;
+        this.gameContainer.classList.toggle('danger', inDanger);
+        this.dangerTimer.innerText = inDanger ? (ticksLeft * STEP_MS / 1000).toFixed(1) : '';
     }
 
     updatePreview() {
         if (!this.nextPreviewElement) return;
-        this.nextPreviewElement.innerHTML = '';
-        const data = TETROMINOES[this.nextPieceType];
-
-        data.shape.forEach(pos => {
-            const block = document.createElement('div');
-            block.className = 'preview-block';
-            block.style.backgroundColor = data.color;
-            // Center the small blocks in the 60x30 preview box
-            // multiplier 12 to fit well
-            block.style.left = `${30 + pos[0] * 12}px`;
-            block.style.top = `${15 + pos[1] * 12}px`;
-            this.nextPreviewElement.appendChild(block);
-        });
-    }
-
-    levelUp(targetLevel) {
-        this.currentLevel = targetLevel;
-        this.minToClear = targetLevel + 2; // Level 1 -> 3, Level 2 -> 4, Level 3 -> 5
-        this.isPaused = true;
-        this.runner.enabled = false;
-
-        const modalId = targetLevel === 2 ? 'level-two-splash' : 'level-three-splash';
-        document.getElementById(modalId).classList.remove('hidden');
-    }
-
-    resumeAfterLevelUp(modalId) {
-        this.isPaused = false;
-        this.runner.enabled = true;
-        document.getElementById(modalId).classList.add('hidden');
-        this.lastActionTime = Date.now();
-    }
-
-    screenShake(magnitude = 5) {
-        const originalTransform = this.container.style.transform;
-        let count = 0;
-        const interval = setInterval(() => {
-            const x = (Math.random() - 0.5) * magnitude;
-            const y = (Math.random() - 0.5) * magnitude;
-            this.container.style.transform = `translate(${x}px, ${y}px)`;
-            count++;
-            if (count > 10) {
-                clearInterval(interval);
-                this.container.style.transform = originalTransform;
-            }
-        }, 30);
+        const [next, ...later] = this.core.queue;
+        const look = this.previewLook();
+        drawPiecePreview(this.nextPreviewElement, next, look);
+        drawPieceQueue(this.queuePreviewElement, later, look);
+        drawPiecePreview(this.holdPreviewElement, this.core.heldPieceType, look);
+        this.holdPreviewElement.classList.toggle('used', !this.core.canHold);
+    }
+
+    levelUp(event) {
+        // Playback and the AI don't stop for the splash; the pause added no ticks
+        if (this.isSpectating() || !event.splash) {
+            this.showSpecialBonus(levelTitle(event.level));
+            return;
+        }
+        this.state.go('levelUp', event);
+    }
+
+    showLevelSplash({ level, splash }) {
+        const title = this.levelSplash.querySelector('.level-title');
+        title.innerText = splash.title || levelTitle(level);
+        title.style.color = splash.color || 'var(--accent-secondary)';
+        this.levelSplash.querySelector('.level-text').innerText = splash.text;
+        this.levelSplash.classList.remove('hidden');
     }
 
     showSpecialBonus(text) {
+        if (this.isSeeking || this.reducedMotion) return;
         const bonus = document.createElement('div');
         bonus.className = 'clear-bonus';
         bonus.innerText = text;
@@ -485,126 +1590,43 @@ class Frustris {
         bonus.style.animation = 'bonusFade 1s forwards';
 
         this.container.appendChild(bonus);
-        setTimeout(() => bonus.remove(), 1000);
-    }
-
-    showClearBonus() {
-        const shoutouts = [
-            'Yeeha!', 'Dope!', 'Yeah!', 'That\'s right!',
-            'Awesome!', 'Slick!', 'Clean!', 'Wicked!',
-            'Stellar!', 'Bam!', 'Kaboom!', 'Noice!',
-            'Radical!', 'Superb!', 'Unstoppable!'
-        ];
-        const text = shoutouts[Math.floor(Math.random() * shoutouts.length)];
-        this.showSpecialBonus(text);
-    }
-
-    checkClears() {
-        const bodies = Composite.allBodies(this.engine.world);
-        const byType = {};
-        const settled = [];
-
-        for (let i = 0; i < bodies.length; i++) {
-            const b = bodies[i];
-            if (b.label === 'settled' && b.parent === b) {
-                settled.push(b);
-                if (!byType[b.pieceType]) byType[b.pieceType] = [];
-                byType[b.pieceType].push(b);
-            }
-        }
-
-        if (settled.length < this.minToClear) return;
-
-        const toRemove = new Set();
-        const visited = new Set();
-
-        for (const type in byType) {
-            const pieces = byType[type];
-            for (let i = 0; i < pieces.length; i++) {
-                const piece = pieces[i];
-                if (visited.has(piece.id)) continue;
-
-                const group = [];
-                const stack = [piece];
-                visited.add(piece.id);
-
-                while (stack.length > 0) {
-                    const current = stack.pop();
-                    group.push(current);
-
-                    for (let j = 0; j < pieces.length; j++) {
-                        const other = pieces[j];
-                        if (visited.has(other.id)) continue;
-
-                        let isTouching = false;
-                        if (Matter.Query.collides(current, [other]).length > 0) {
-                            isTouching = true;
-                        }
-
-                        if (!isTouching) {
-                            const partsA = current.parts.length > 1 ? current.parts.slice(1) : [current];
-                            const partsB = other.parts.length > 1 ? other.parts.slice(1) : [other];
-                            const threshold = BLOCK_SIZE * 1.5;
-
-                            outer: for (let pA of partsA) {
-                                for (let pB of partsB) {
-                                    const d = Vector.magnitude(Vector.sub(pA.position, pB.position));
-                                    if (d < threshold) {
-                                        isTouching = true;
-                                        break outer;
-                                    }
-                                }
-                            }
-                        }
-
-                        if (isTouching) {
-                            visited.add(other.id);
-                            stack.push(other);
-                        }
-                    }
-                }
-
-                if (group.length >= this.minToClear) {
-                    for (let p of group) toRemove.add(p);
-                }
-            }
-        }
+        this.later(() => bonus.remove(), 1000);
+    }
 
-        if (toRemove.size > 0) {
-            this.screenShake(12);
-            this.showClearBonus();
+    // Runs while a game is on; menu, game over and versus need no ticks
+    startGameLoop() {
+        if (this.frame !== null) return;
 
-            // Progressive scoring logic: 100 base + 25% bonus for each piece above minimum
-            const multiplier = 1 + (toRemove.size - this.minToClear) * 0.25;
-            const pointsGained = Math.floor(toRemove.size * 100 * multiplier);
+        let last = performance.now();
+        let accumulator = 0;
 
-            this.score += pointsGained;
-            toRemove.forEach(p => Composite.remove(this.engine.world, p));
+        const loop = (now) => {
+            // Cap the catch-up so a background tab doesn't fast-forward the pile
+            accumulator += Math.min(now - last, 250) * (this.replayPlayer ? this.replaySpeed : 1);
+            last = now;
 
-            // Check for Perfect Clear
-            const remainingSettled = bodies.filter(b => b.label === 'settled' && !toRemove.has(b));
-            if (remainingSettled.length === 0) {
-                this.score += 1000;
-                this.showSpecialBonus('PERFECT CLEAR!');
-            }
+            while (accumulator >= STEP_MS) {
+                if (this.state.is('playing')) this.step();
+                accumulator -= STEP_MS;
 
-            const remaining = Composite.allBodies(this.engine.world);
-            remaining.forEach(b => Sleeping.set(b, false));
-            this.updateUI();
-            this.lastActionTime = Date.now();
-        }
-    }
-
-    startGameLoop() {
-        const loop = () => {
-            if (!this.isPaused) {
-                this.handleInput();
-                this.checkSettle();
+                if (this.replayPlayer && this.replayPlayer.isFinished(this.core.tick)) this.state.go('paused');
             }
-            requestAnimationFrame(loop);
+            this.updatePileMeter();
+            this.updateDanger();
+            this.updateModeHud();
+            this.pollGamepadPause();
+            if (this.replayPlayer && this.state.is('playing')) this.updateReplayBar();
+            this.frame = this.state.is('playing', 'paused', 'levelUp') ? requestAnimationFrame(loop) : null;
         };
-        requestAnimationFrame(loop);
+        this.frame = requestAnimationFrame(loop);
     }
 }
 
-new Frustris();
+const game = new Frustris();
+
+// For mods and overlays loaded alongside the game
+window.frustris = {
+    on: (type, handler) => game.bus.on(type, handler),
+    register: (plugin) => game.plugins.register(plugin),
+    unregister: (id) => game.plugins.unregister(id)
+};
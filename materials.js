@@ -0,0 +1,45 @@
+// Special materials a piece can be made of. body holds the Matter options
+// that differ from a normal piece, style how its blocks are drawn, and
+// clearBonus the extra points for each piece of it in a cleared group.
+
+export const MATERIALS = {
+    ice: {
+        label: 'Ice',
+        body: { friction: 0.01, frictionStatic: 0.05 },
+        style: { strokeStyle: '#e0f7ff', lineWidth: 3, opacity: 0.7 },
+        clearBonus: 50
+    },
+    glue: {
+        label: 'Glue',
+        body: { friction: 1 },
+        style: { strokeStyle: '#c6ff00', lineWidth: 4 },
+        clearBonus: 100
+    },
+    heavy: {
+        label: 'Heavy',
+        body: { density: 0.008 },
+        style: { strokeStyle: '#1a1a22', lineWidth: 5 },
+        clearBonus: 150
+    },
+    bomb: {
+        label: 'Bomb',
+        body: {},
+        style: { strokeStyle: '#ff1744', lineWidth: 4 },
+        clearBonus: 0,
+        // Everything with a block this close to one of the bomb's goes with it
+        radius: 70,
+        pointsPerPiece: 50
+    }
+};
+
+export const MATERIAL_RATES = [
+    { id: 'off', label: 'Off', rate: 0 },
+    { id: 'some', label: 'Some', rate: 0.1 },
+    { id: 'lots', label: 'Lots', rate: 0.25 }
+];
+
+// null for a normal piece; at rate every material is equally likely
+export function rollMaterial(rng, rate) {
+    if (rate <= 0 || rng.next() >= rate) return null;
+    return rng.pick(Object.keys(MATERIALS));
+}
@@ -0,0 +1,136 @@
+import { LEVELS } from './levels.js';
+import { RANDOMIZERS } from './randomizers.js';
+import { createRng, parseSeed } from './random.js';
+import { TETROMINOES } from './tetrominoes.js';
+import { wellSize, wellKey } from './wells.js';
+
+// Game modes. The rule fields are read by FrustrisCore: goalGroups ends the
+// run once that many groups are cleared, timeLimitMs ends it when time is
+// up and noGameOver empties the well instead of ending it. best says how
+// results are compared. Puzzle runs get their rules from the scenario (see
+// puzzles.js) and only keep track of which ones are solved.
+export const MODES = [
+    {
+        id: 'endless',
+        label: 'Endless',
+        description: 'Play until the pile tops out.',
+        best: 'score'
+    },
+    {
+        id: 'sprint',
+        label: 'Sprint',
+        description: 'Clear 20 groups as fast as you can.',
+        goalGroups: 20,
+        best: 'time'
+    },
+    {
+        id: 'ultra',
+        label: 'Ultra',
+        description: 'Score as much as you can in 3 minutes.',
+        timeLimitMs: 3 * 60 * 1000,
+        best: 'score'
+    },
+    {
+        id: 'zen',
+        label: 'Zen',
+        description: 'No game over. A full well just gets emptied.',
+        noGameOver: true,
+        best: 'score'
+    },
+    {
+        id: 'daily',
+        label: 'Daily',
+        description: 'The same pieces and levels for everyone today.',
+        daily: true,
+        best: 'score'
+    },
+    {
+        id: 'puzzle',
+        label: 'Puzzle',
+        description: 'Finish a ready-made pile with a fixed set of pieces.',
+        puzzle: true,
+        best: 'solved'
+    }
+];
+
+export function modeDefinition(id) {
+    return MODES.find(mode => mode.id === id) || MODES[0];
+}
+
+// UTC, so the whole world shares one daily run
+export function dailyKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Seed, randomizer and a variation on the level table, all derived from
+// the date. These override the player's own piece and well options. Only
+// randomizers that ignore the pile qualify, or the sequence would depend on
+// how each player plays.
+const DAILY_PREVIEW_COUNT = 3;
+
+export function dailyOptions(key) {
+    const seed = parseSeed(`frustris-daily-${key}`);
+    const rng = createRng(seed);
+    const round = (value, step) => Number((Math.round(value / step) * step).toFixed(2));
+
+    const levels = LEVELS.map(def => ({
+        ...def,
+        threshold: round(def.threshold * (0.8 + rng.next() * 0.4), 100),
+        gravity: round(def.gravity * (0.8 + rng.next() * 0.5), 0.01),
+        friction: round(0.3 + rng.next() * 0.4, 0.01)
+    }));
+
+    const randomizer = rng.pick(RANDOMIZERS.filter(r => !r.pileDependent)).id;
+    const { width, height } = wellSize('classic');
+    return {
+        seed, day: key, levels, randomizer, previewCount: DAILY_PREVIEW_COUNT, materialRate: 0.1, shapes: TETROMINOES, width, height
+    };
+}
+
+export function formatTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = (ms % 60000) / 1000;
+    return `${minutes}:${seconds.toFixed(1).padStart(4, '0')}`;
+}
+
+// Best results per mode, as { score } or { timeMs }; the daily best only
+// counts for its own day. run is the options the run was started with, so
+// a daily run finished after midnight still counts for the day it began,
+// and each well size has bests of its own.
+const BESTS_KEY = 'frustris_bests';
+
+function loadBests() {
+    try {
+        return JSON.parse(localStorage.getItem(BESTS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+const runDay = (run) => run.day || dailyKey();
+// The daily run is always in the classic well
+const bestKey = (modeId, run) => modeId === 'daily' ? modeId : wellKey(modeId, run);
+
+export function loadBest(modeId, run = {}) {
+    const best = loadBests()[bestKey(modeId, run)] || null;
+    if (best && modeId === 'daily' && best.date !== runDay(run)) return null;
+    return best;
+}
+
+export function isBetter(modeId, result, best) {
+    if (!best) return true;
+    if (modeDefinition(modeId).best === 'time') return result.timeMs < best.timeMs;
+    return result.score > best.score;
+}
+
+// Stores result if it beats the current best; returns whether it did
+export function recordResult(modeId, result, run = {}) {
+    if (!isBetter(modeId, result, loadBest(modeId, run))) return false;
+
+    const bests = loadBests();
+    // Only one daily best is kept, and a newer day's wins
+    if (modeId === 'daily' && bests.daily && bests.daily.date > runDay(run)) return false;
+    bests[bestKey(modeId, run)] = modeId === 'daily' ? { ...result, date: runDay(run) } : result;
+    localStorage.setItem(BESTS_KEY, JSON.stringify(bests));
+    return true;
+}
@@ -0,0 +1,254 @@
+import { GRID_SIZE, loadCustomSets, saveCustomSet, deleteCustomSet, validatePieceSet, parsePieceSet, shareString } from './piece-sets.js';
+
+const DEFAULT_COLOR = '#00e5ff';
+const cellKey = (x, y) => `${x},${y}`;
+
+// Small drawing of a piece's cells, for the list of pieces in a set
+function drawCells(element, cells, color) {
+    element.innerHTML = '';
+    const width = Math.max(...cells.map(c => c[0])) + 1;
+    element.style.gridTemplateColumns = `repeat(${width}, 8px)`;
+    const filled = new Set(cells.map(([x, y]) => cellKey(x, y)));
+    const height = Math.max(...cells.map(c => c[1])) + 1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const cell = document.createElement('span');
+            if (filled.has(cellKey(x, y))) cell.style.backgroundColor = color;
+            element.appendChild(cell);
+        }
+    }
+}
+
+// The piece editor modal: draw a shape on the grid, give it a colour, add
+// it to the set. Nothing is stored until the set is saved; onChange(id) is
+// called with the saved set's id, or null once a set is deleted.
+export class PieceEditor {
+    constructor(root, { onChange }) {
+        this.root = root;
+        this.onChange = onChange;
+        this.setSelect = root.querySelector('#editor-set-select');
+        this.nameInput = root.querySelector('#editor-name');
+        this.grid = root.querySelector('#editor-grid');
+        this.colorInput = root.querySelector('#editor-color');
+        this.addBtn = root.querySelector('#editor-add');
+        this.pieceList = root.querySelector('#editor-pieces');
+        this.status = root.querySelector('#editor-status');
+        this.json = root.querySelector('#editor-json');
+
+        // The set being edited, the cells drawn on the grid and which piece
+        // of the set they came from, if any
+        this.draft = null;
+        this.cells = new Set();
+        this.editing = null;
+
+        for (let y = 0; y < GRID_SIZE; y++) {
+            for (let x = 0; x < GRID_SIZE; x++) {
+                const cell = document.createElement('button');
+                cell.className = 'editor-cell';
+                cell.addEventListener('click', (e) => {
+                    e.target.blur();
+                    this.toggleCell(x, y);
+                });
+                this.grid.appendChild(cell);
+            }
+        }
+
+        this.colorInput.addEventListener('input', () => this.renderGrid());
+        this.setSelect.addEventListener('change', () => this.load(this.setSelect.value));
+
+        const buttons = {
+            '#editor-add': () => this.addPiece(),
+            '#editor-clear': () => this.clearGrid(),
+            '#editor-save': () => this.save(),
+            '#editor-delete': () => this.remove(),
+            '#editor-share': () => this.share(),
+            '#editor-import': () => this.import(),
+            '#editor-done': () => this.close()
+        };
+        Object.entries(buttons).forEach(([selector, action]) => {
+            root.querySelector(selector).addEventListener('click', (e) => {
+                e.target.blur();
+                action();
+            });
+        });
+    }
+
+    // Opens on the given custom set, or on a new one
+    open(setId = null) {
+        this.json.value = '';
+        this.fillSetSelect();
+        this.load(setId);
+        this.root.classList.remove('hidden');
+    }
+
+    close() {
+        this.root.classList.add('hidden');
+    }
+
+    fillSetSelect() {
+        this.setSelect.innerHTML = '';
+        [{ id: '', name: 'New set' }, ...loadCustomSets()].forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.innerText = name;
+            this.setSelect.appendChild(option);
+        });
+    }
+
+    load(setId) {
+        const saved = loadCustomSets().find(set => set.id === setId);
+        this.draft = saved ? { ...saved, pieces: [...saved.pieces] } : { id: null, name: '', pieces: [] };
+        this.setSelect.value = saved ? saved.id : '';
+        this.nameInput.value = this.draft.name;
+        this.status.innerText = '';
+        this.clearGrid();
+        this.renderPieces();
+    }
+
+    toggleCell(x, y) {
+        const key = cellKey(x, y);
+        if (this.cells.has(key)) this.cells.delete(key);
+        else this.cells.add(key);
+        this.renderGrid();
+    }
+
+    clearGrid() {
+        this.cells.clear();
+        this.editing = null;
+        this.addBtn.innerText = 'ADD PIECE';
+        this.renderGrid();
+    }
+
+    renderGrid() {
+        [...this.grid.children].forEach((cell, i) => {
+            const on = this.cells.has(cellKey(i % GRID_SIZE, Math.floor(i / GRID_SIZE)));
+            cell.classList.toggle('on', on);
+            cell.style.backgroundColor = on ? this.colorInput.value : '';
+        });
+    }
+
+    renderPieces() {
+        this.pieceList.innerHTML = '';
+        this.draft.pieces.forEach((piece, i) => {
+            const item = document.createElement('div');
+            item.className = 'editor-piece';
+            item.classList.toggle('active', i === this.editing);
+
+            const drawing = document.createElement('button');
+            drawing.className = 'editor-piece-cells';
+            drawCells(drawing, piece.cells, piece.color);
+            drawing.addEventListener('click', (e) => {
+                e.currentTarget.blur();
+                this.editPiece(i);
+            });
+            item.appendChild(drawing);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'editor-piece-remove';
+            removeBtn.innerText = '×';
+            removeBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.draft.pieces.splice(i, 1);
+                this.clearGrid();
+                this.renderPieces();
+            });
+            item.appendChild(removeBtn);
+
+            this.pieceList.appendChild(item);
+        });
+    }
+
+    editPiece(index) {
+        const piece = this.draft.pieces[index];
+        this.cells = new Set(piece.cells.map(([x, y]) => cellKey(x, y)));
+        this.colorInput.value = piece.color;
+        this.editing = index;
+        this.addBtn.innerText = 'UPDATE PIECE';
+        this.renderGrid();
+        this.renderPieces();
+    }
+
+    // The drawn piece goes in, or replaces the one being edited, if the set
+    // would still be valid with it
+    addPiece() {
+        if (this.cells.size === 0) {
+            this.status.innerText = 'Draw a shape on the grid first.';
+            return;
+        }
+        const cells = [...this.cells].map(key => key.split(',').map(Number));
+        const pieces = [...this.draft.pieces];
+        if (this.editing === null) pieces.push({ cells, color: this.colorInput.value });
+        else pieces[this.editing] = { cells, color: this.colorInput.value };
+
+        try {
+            this.draft.pieces = validatePieceSet({ name: 'draft', pieces }).pieces;
+        } catch (err) {
+            this.status.innerText = err.message;
+            return;
+        }
+        this.status.innerText = '';
+        this.colorInput.value = DEFAULT_COLOR;
+        this.clearGrid();
+        this.renderPieces();
+    }
+
+    // The draft as a checked set, or null after showing what's wrong
+    validDraft() {
+        try {
+            return validatePieceSet({ ...this.draft, name: this.nameInput.value });
+        } catch (err) {
+            this.status.innerText = err.message;
+            return null;
+        }
+    }
+
+    save() {
+        const set = this.validDraft();
+        if (!set) return;
+        saveCustomSet(set);
+        this.fillSetSelect();
+        this.load(set.id);
+        this.status.innerText = `Saved ${set.name}.`;
+        this.onChange(set.id);
+    }
+
+    remove() {
+        if (!this.draft.id) {
+            this.load(null);
+            return;
+        }
+        deleteCustomSet(this.draft.id);
+        this.fillSetSelect();
+        this.load(null);
+        this.onChange(null);
+    }
+
+    // The set as a JSON string, in the box and on the clipboard when allowed
+    share() {
+        const set = this.validDraft();
+        if (!set) return;
+        this.json.value = shareString(set);
+        this.json.select();
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(this.json.value)
+                .then(() => this.status.innerText = 'Copied to the clipboard.')
+                .catch(() => this.status.innerText = 'Copy the text below to share it.');
+        } else {
+            this.status.innerText = 'Copy the text below to share it.';
+        }
+    }
+
+    // A pasted set opens as a new one; it's kept once saved
+    import() {
+        try {
+            const set = parsePieceSet(this.json.value);
+            this.load(null);
+            this.draft = { id: null, name: set.name, pieces: set.pieces };
+            this.nameInput.value = set.name;
+            this.renderPieces();
+            this.status.innerText = `Imported ${set.name}. Save it to play with it.`;
+        } catch (err) {
+            this.status.innerText = err.message;
+        }
+    }
+}
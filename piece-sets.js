@@ -0,0 +1,193 @@
+import { TETROMINOES } from './tetrominoes.js';
+
+// Piece sets: which shapes a run deals. FrustrisCore takes a set's shapes,
+// keyed by piece type like TETROMINOES, so a run doesn't care where they
+// came from. Custom sets are drawn on a small grid and kept as
+// { id, name, pieces: [{ cells, color }] }, cells being [x, y] grid squares;
+// that's also the JSON players share.
+export const GRID_SIZE = 5;
+export const MAX_BLOCKS = 6;
+export const MAX_PIECES = 12;
+const MAX_NAME = 20;
+
+// Centres cells on their bounding box, in block units like TETROMINOES
+export function shapeFromCells(cells) {
+    const xs = cells.map(c => c[0]);
+    const ys = cells.map(c => c[1]);
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+    return cells.map(([x, y]) => [x - cx, y - cy]);
+}
+
+const fromCells = (pieces) => Object.fromEntries(
+    Object.entries(pieces).map(([type, { cells, color }]) => [type, { shape: shapeFromCells(cells), color }])
+);
+
+// Types are suffixed with their size so they never pick up a tetromino's
+// palette colour or glyph
+export const TRIOMINOES = fromCells({
+    I3: { cells: [[0, 0], [1, 0], [2, 0]], color: '#00e5ff' },
+    L3: { cells: [[0, 0], [0, 1], [1, 1]], color: '#ff9100' }
+});
+
+export const PENTOMINOES = fromCells({
+    F5: { cells: [[1, 0], [2, 0], [0, 1], [1, 1], [1, 2]], color: '#ff4081' },
+    I5: { cells: [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0]], color: '#00e5ff' },
+    L5: { cells: [[3, 0], [0, 1], [1, 1], [2, 1], [3, 1]], color: '#ff9100' },
+    N5: { cells: [[0, 0], [1, 0], [2, 0], [2, 1], [3, 1]], color: '#8d6e63' },
+    P5: { cells: [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1]], color: '#f0f000' },
+    T5: { cells: [[0, 0], [1, 0], [2, 0], [1, 1], [1, 2]], color: '#7c4dff' },
+    U5: { cells: [[0, 0], [2, 0], [0, 1], [1, 1], [2, 1]], color: '#c6ff00' },
+    V5: { cells: [[0, 0], [0, 1], [0, 2], [1, 2], [2, 2]], color: '#2979ff' },
+    W5: { cells: [[0, 0], [0, 1], [1, 1], [1, 2], [2, 2]], color: '#1de9b6' },
+    X5: { cells: [[1, 0], [0, 1], [1, 1], [2, 1], [1, 2]], color: '#ffffff' },
+    Y5: { cells: [[1, 0], [0, 1], [1, 1], [2, 1], [3, 1]], color: '#00ff00' },
+    Z5: { cells: [[0, 0], [1, 0], [1, 1], [1, 2], [2, 2]], color: '#ff0000' }
+});
+
+export const PIECE_SETS = [
+    { id: 'tetrominoes', label: 'Tetrominoes', shapes: TETROMINOES },
+    { id: 'triominoes', label: 'Triominoes', shapes: TRIOMINOES },
+    { id: 'pentominoes', label: 'Pentominoes', shapes: PENTOMINOES }
+];
+
+// A custom set's pieces become types C1, C2, ...
+export function customShapes(set) {
+    return Object.fromEntries(set.pieces.map(({ cells, color }, i) => [`C${i + 1}`, { shape: shapeFromCells(cells), color }]));
+}
+
+const cellKey = ([x, y]) => `${x},${y}`;
+
+function isConnected(cells) {
+    const keys = new Set(cells.map(cellKey));
+    const seen = new Set([cellKey(cells[0])]);
+    const todo = [cells[0]];
+    while (todo.length > 0) {
+        const [x, y] = todo.pop();
+        [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]].forEach(next => {
+            const key = cellKey(next);
+            if (keys.has(key) && !seen.has(key)) {
+                seen.add(key);
+                todo.push(next);
+            }
+        });
+    }
+    return seen.size === keys.size;
+}
+
+// Pieces turn freely in the well, so a shape and its rotations are one
+// piece. This is the same string for all four.
+function shapeSignature(cells) {
+    let rotated = cells;
+    const forms = [];
+    for (let i = 0; i < 4; i++) {
+        const minX = Math.min(...rotated.map(c => c[0]));
+        const minY = Math.min(...rotated.map(c => c[1]));
+        forms.push(rotated.map(([x, y]) => cellKey([x - minX, y - minY])).sort().join(' '));
+        rotated = rotated.map(([x, y]) => [-y, x]);
+    }
+    return forms.sort()[0];
+}
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+// Checks a custom set, throwing with a readable message, and returns a
+// clean copy: cells moved to the grid's top-left corner and sorted
+export function validatePieceSet(data) {
+    const fail = (message) => {
+        throw new Error(`Invalid piece set: ${message}`);
+    };
+
+    if (!data || typeof data !== 'object') fail('expected an object');
+    if (typeof data.name !== 'string' || !data.name.trim()) fail('it needs a name');
+    if (!Array.isArray(data.pieces) || data.pieces.length === 0) fail('it needs at least one piece');
+    if (data.pieces.length > MAX_PIECES) fail(`at most ${MAX_PIECES} pieces`);
+
+    const signatures = new Set();
+    const pieces = data.pieces.map((piece, i) => {
+        const label = `piece ${i + 1}`;
+        const cells = piece && piece.cells;
+        if (!Array.isArray(cells) || cells.length === 0) fail(`${label} has no blocks`);
+        if (cells.length > MAX_BLOCKS) fail(`${label} has more than ${MAX_BLOCKS} blocks`);
+        if (!cells.every(c => Array.isArray(c) && c.length === 2 && c.every(Number.isInteger))) fail(`${label} has a bad cell`);
+        if (!isColor(piece.color)) fail(`${label} needs a colour like #ff9100`);
+
+        const minX = Math.min(...cells.map(c => c[0]));
+        const minY = Math.min(...cells.map(c => c[1]));
+        const moved = cells.map(([x, y]) => [x - minX, y - minY])
+            .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+        if (moved.some(([x, y]) => x >= GRID_SIZE || y >= GRID_SIZE)) fail(`${label} doesn't fit a ${GRID_SIZE}x${GRID_SIZE} grid`);
+        if (new Set(moved.map(cellKey)).size !== moved.length) fail(`${label} uses a cell twice`);
+        if (!isConnected(moved)) fail(`${label} isn't in one piece`);
+
+        const signature = shapeSignature(moved);
+        if (signatures.has(signature)) fail(`${label} is the same shape as an earlier one`);
+        signatures.add(signature);
+
+        return { cells: moved, color: piece.color.toLowerCase() };
+    });
+
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : `custom-${Date.now().toString(36)}`,
+        name: data.name.trim().slice(0, MAX_NAME),
+        pieces
+    };
+}
+
+export function parsePieceSet(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not a piece set');
+    }
+    return validatePieceSet(data);
+}
+
+export const shareString = (set) => JSON.stringify({ name: set.name, pieces: set.pieces });
+
+const STORAGE_KEY = 'frustris_piece_sets';
+
+export function loadCustomSets() {
+    try {
+        const sets = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!Array.isArray(sets)) return [];
+        // Anything that no longer validates is dropped rather than breaking the menu
+        return sets.flatMap(set => {
+            try {
+                return [validatePieceSet(set)];
+            } catch {
+                return [];
+            }
+        });
+    } catch {
+        return [];
+    }
+}
+
+// Adds set, or replaces the one with its id
+export function saveCustomSet(set) {
+    const sets = loadCustomSets().filter(s => s.id !== set.id);
+    sets.push(set);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sets));
+}
+
+export function deleteCustomSet(id) {
+    const sets = loadCustomSets().filter(s => s.id !== id);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sets));
+}
+
+// Built-in sets then custom ones, all as { id, label, shapes }
+export function allPieceSets() {
+    return [
+        ...PIECE_SETS,
+        ...loadCustomSets().map(set => ({ id: set.id, label: set.name, shapes: customShapes(set), custom: set }))
+    ];
+}
+
+// A deleted custom set falls back to the classic pieces
+export function pieceSetShapes(id) {
+    const set = allPieceSets().find(s => s.id === id);
+    return set ? set.shapes : TETROMINOES;
+}
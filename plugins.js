@@ -0,0 +1,73 @@
+// Plugins are plain objects:
+//
+//   {
+//       id: 'my-plugin',
+//       setup(game) {},             // optional, once on registration
+//       teardown(game) {},          // optional, once on removal
+//       events: { groupCleared(event, game) {} },
+//       hooks: { score(points, context, game) {}, nextPiece(type, context, game) {} }
+//   }
+//
+// Event handlers only watch. Hooks change the rules: each returns the value
+// to use instead, and hooks of several plugins run in the order the plugins
+// were registered, each getting the one before's result. score's context
+// has the source ('settle', 'clear', 'perfectClear' or 'bomb') and the
+// details of the award; nextPiece's has the queue so far and the types the
+// level allows.
+export const HOOKS = ['score', 'nextPiece'];
+
+export class PluginHost {
+    constructor(bus, game) {
+        this.bus = bus;
+        this.game = game;
+        this.plugins = new Map();
+        // Handed to every core the game creates
+        this.hooks = Object.fromEntries(HOOKS.map(name => [name, (value, context) => this.runHook(name, value, context)]));
+    }
+
+    // Returns a function that removes the plugin again
+    register(plugin) {
+        if (!plugin || typeof plugin.id !== 'string' || !plugin.id) throw new Error('A plugin needs an id');
+        if (this.plugins.has(plugin.id)) throw new Error(`Plugin ${plugin.id} is already registered`);
+        const unknownHook = Object.keys(plugin.hooks || {}).find(name => !HOOKS.includes(name));
+        if (unknownHook) throw new Error(`Plugin ${plugin.id} has an unknown hook: ${unknownHook}`);
+
+        const unsubscribes = [];
+        try {
+            Object.entries(plugin.events || {}).forEach(([type, handler]) => {
+                unsubscribes.push(this.bus.on(type, (event) => handler(event, this.game)));
+            });
+        } catch (err) {
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+            throw err;
+        }
+
+        this.plugins.set(plugin.id, { plugin, unsubscribes });
+        if (plugin.setup) plugin.setup(this.game);
+        return () => this.unregister(plugin.id);
+    }
+
+    unregister(id) {
+        const entry = this.plugins.get(id);
+        if (!entry) return;
+        entry.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.plugins.delete(id);
+        if (entry.plugin.teardown) entry.plugin.teardown(this.game);
+    }
+
+    // A hook that throws is logged and skipped, so a broken plugin can't
+    // stop the game
+    runHook(name, value, context) {
+        let result = value;
+        this.plugins.forEach(({ plugin }) => {
+            const hook = plugin.hooks && plugin.hooks[name];
+            if (!hook) return;
+            try {
+                result = hook(result, context, this.game);
+            } catch (err) {
+                console.error(err);
+            }
+        });
+        return result;
+    }
+}
@@ -0,0 +1,38 @@
+import { TETROMINOES } from './tetrominoes.js';
+import { pieceColor, glyphSvg } from './accessibility.js';
+
+// Draws a piece's blocks into a 60x30 preview box. look picks the piece
+// set, the palette and whether blocks carry their type's glyph.
+export function drawPiecePreview(element, pieceType, look = {}) {
+    element.innerHTML = '';
+    const shapes = look.shapes || TETROMINOES;
+    const data = shapes[pieceType];
+    if (!data) return;
+
+    // 12px a block, less for shapes too big for the box
+    const span = (axis) => Math.max(...data.shape.map(p => p[axis])) - Math.min(...data.shape.map(p => p[axis]));
+    const step = Math.min(12, 48 / span(0), 20 / span(1));
+
+    data.shape.forEach(pos => {
+        const block = document.createElement('div');
+        block.className = 'preview-block';
+        block.style.backgroundColor = pieceColor(pieceType, look.palette, shapes);
+        if (look.glyphs) block.innerHTML = glyphSvg(pieceType, shapes);
+        if (step < 12) block.style.width = block.style.height = `${step - 2}px`;
+        // Center the small blocks in the 60x30 preview box
+        block.style.left = `${30 + pos[0] * step}px`;
+        block.style.top = `${15 + pos[1] * step}px`;
+        element.appendChild(block);
+    });
+}
+
+// A column of smaller previews, one per upcoming piece
+export function drawPieceQueue(element, pieceTypes, look = {}) {
+    element.innerHTML = '';
+    pieceTypes.forEach(pieceType => {
+        const slot = document.createElement('div');
+        slot.className = 'next-preview small';
+        drawPiecePreview(slot, pieceType, look);
+        element.appendChild(slot);
+    });
+}
@@ -0,0 +1,160 @@
+import { LEVELS } from './levels.js';
+import { TETROMINOES } from './tetrominoes.js';
+import { wellSize } from './wells.js';
+
+// Handmade scenarios: a pile that's already in the well, the pieces to
+// finish it with and a goal. Pile positions are piece centres, with blocks on
+// a 30px grid whose first column is at x = 20 and whose floor row is at y = 685.
+// Goals are { type: 'perfectClear' } or { type: 'groups', count, size }, the
+// latter counting cleared groups of at least size pieces.
+export const PUZZLES = [
+    {
+        id: 'first-group',
+        title: 'First Group',
+        hint: 'Three pieces of one type that touch make a group and clear.',
+        minToClear: 3,
+        pile: [
+            { type: 'O', x: 35, y: 670, angle: 0 },
+            { type: 'O', x: 95, y: 670, angle: 0 }
+        ],
+        sequence: ['O', 'O'],
+        goal: { type: 'perfectClear' }
+    },
+    {
+        id: 'bridge',
+        title: 'Bridge',
+        hint: 'Touching corners count. Link both sides with one drop.',
+        minToClear: 3,
+        pile: [
+            { type: 'T', x: 50, y: 677.5, angle: 0 },
+            { type: 'T', x: 170, y: 677.5, angle: 0 }
+        ],
+        sequence: ['T', 'T'],
+        goal: { type: 'perfectClear' }
+    },
+    {
+        id: 'two-stacks',
+        title: 'Two Stacks',
+        hint: 'Clear the lines, then the tower. Nothing may be left.',
+        minToClear: 3,
+        pile: [
+            { type: 'I', x: 65, y: 685, angle: 0 },
+            { type: 'I', x: 215, y: 685, angle: 0 },
+            { type: 'O', x: 365, y: 670, angle: 0 },
+            { type: 'O', x: 365, y: 610, angle: 0 }
+        ],
+        sequence: ['I', 'O'],
+        goal: { type: 'perfectClear' }
+    },
+    {
+        id: 'hold-back',
+        title: 'Hold Back',
+        hint: 'Groups need four here. Make one group of five.',
+        minToClear: 4,
+        pile: [
+            { type: 'O', x: 35, y: 670, angle: 0 },
+            { type: 'O', x: 155, y: 670, angle: 0 },
+            { type: 'O', x: 275, y: 670, angle: 0 }
+        ],
+        sequence: ['O', 'O', 'O'],
+        goal: { type: 'groups', count: 1, size: 5 }
+    }
+];
+
+export function describeGoal(goal) {
+    if (goal.type === 'perfectClear') return 'Clear every piece.';
+    const groups = goal.count === 1 ? 'a group' : `${goal.count} groups`;
+    return `Clear ${groups} of ${goal.size} or more.`;
+}
+
+export function goalTarget(goal) {
+    return goal.type === 'groups' ? goal.count : 1;
+}
+
+// How much one clear moves the goal along
+export function goalProgress(goal, groups, perfectClear) {
+    if (goal.type === 'perfectClear') return perfectClear ? 1 : 0;
+    return groups.filter(group => group.size >= goal.size).length;
+}
+
+// Core options for a puzzle run: one level with the puzzle's minToClear,
+// the fixed sequence, tetrominoes, the classic well the piles were laid
+// out for and no specials
+export function puzzleOptions(puzzle) {
+    const { width, height } = wellSize('classic');
+    return {
+        mode: 'puzzle',
+        puzzle,
+        randomizer: 'sequence',
+        materialRate: 0,
+        shapes: TETROMINOES,
+        width,
+        height,
+        levels: [{ ...LEVELS[0], minToClear: puzzle.minToClear }]
+    };
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Parses and checks a scenario file, throwing with a readable message
+export function parsePuzzle(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not a puzzle file');
+    }
+
+    const fail = (message) => {
+        throw new Error(`Invalid puzzle: ${message}`);
+    };
+    const isType = (type) => Object.prototype.hasOwnProperty.call(TETROMINOES, type);
+
+    if (!data || typeof data !== 'object') fail('expected an object');
+    if (typeof data.id !== 'string' || !data.id) fail('missing id');
+    if (!Number.isInteger(data.minToClear) || data.minToClear < 2) fail('minToClear must be a whole number of at least 2');
+    if (!Array.isArray(data.pile)) fail('pile must be a list');
+    data.pile.forEach((piece, i) => {
+        if (!piece || !isType(piece.type)) fail(`pile piece ${i + 1} has an unknown type`);
+        if (!isNumber(piece.x) || !isNumber(piece.y)) fail(`pile piece ${i + 1} needs x and y`);
+        if (piece.angle !== undefined && !isNumber(piece.angle)) fail(`pile piece ${i + 1} has a bad angle`);
+    });
+    if (!Array.isArray(data.sequence) || data.sequence.length === 0) fail('sequence must list at least one piece');
+    if (!data.sequence.every(isType)) fail('sequence has an unknown piece type');
+
+    const goal = data.goal;
+    if (!goal || !['perfectClear', 'groups'].includes(goal.type)) fail('goal type must be perfectClear or groups');
+    if (goal.type === 'groups') {
+        if (!Number.isInteger(goal.count) || goal.count < 1) fail('goal count must be at least 1');
+        if (!Number.isInteger(goal.size) || goal.size < data.minToClear) fail('goal size must be at least minToClear');
+    }
+
+    return {
+        id: data.id,
+        title: typeof data.title === 'string' ? data.title : data.id,
+        hint: typeof data.hint === 'string' ? data.hint : '',
+        minToClear: data.minToClear,
+        pile: data.pile.map(({ type, x, y, angle = 0 }) => ({ type, x, y, angle })),
+        sequence: [...data.sequence],
+        goal: goal.type === 'groups' ? { type: 'groups', count: goal.count, size: goal.size } : { type: 'perfectClear' }
+    };
+}
+
+// Ids of solved puzzles
+const PROGRESS_KEY = 'frustris_puzzles';
+
+export function loadSolved() {
+    try {
+        const solved = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+        return Array.isArray(solved) ? solved : [];
+    } catch {
+        return [];
+    }
+}
+
+export function markSolved(id) {
+    const solved = loadSolved();
+    if (solved.includes(id)) return;
+    solved.push(id);
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(solved));
+}
@@ -0,0 +1,38 @@
+// Small seeded PRNG (mulberry32). Same seed, same sequence, on every machine.
+export function createRng(seed) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        int: (max) => Math.floor(next() * max),
+        pick: (list) => list[Math.floor(next() * list.length)],
+        getState: () => state,
+        setState: (s) => { state = s >>> 0; }
+    };
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Accepts a number or any string (e.g. from ?seed=) and returns a 32-bit seed
+export function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+$/.test(String(value))) return Number(value) >>> 0;
+
+    let h = 2166136261;
+    const str = String(value);
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
@@ -0,0 +1,76 @@
+// Piece randomizers. Each takes the run's rng so sequences stay seeded and a
+// getTypes() function for the types currently allowed, and returns an object
+// whose next() yields the next piece type. Randomizers with memory also
+// expose getState()/setState() for saved games. pileDependent ones look at
+// the pile, so the same seed deals differently depending on how it's played.
+
+export const RANDOMIZERS = [
+    { id: 'uniform', label: 'Random' },
+    { id: 'bag7', label: '7-Bag' },
+    { id: 'frustris', label: 'Frustris', pileDependent: true }
+];
+
+// Every type equally likely on every draw
+function uniform(rng, getTypes) {
+    return { next: () => rng.pick(getTypes()) };
+}
+
+// Deal all types in a shuffled bag, then refill
+function bag7(rng, getTypes) {
+    let bag = [];
+    return {
+        next() {
+            const types = getTypes();
+            // Types dropped by a level change are skipped
+            bag = bag.filter(t => types.includes(t));
+            if (bag.length === 0) {
+                bag = [...types];
+                for (let i = bag.length - 1; i > 0; i--) {
+                    const j = rng.int(i + 1);
+                    [bag[i], bag[j]] = [bag[j], bag[i]];
+                }
+            }
+            return bag.pop();
+        },
+        getState: () => [...bag],
+        setState: (state) => { bag = [...state]; }
+    };
+}
+
+// Anti-bag: the more of a type already lies in the pile, the less likely it is
+function frustris(rng, getTypes, { pileCounts }) {
+    return {
+        next() {
+            const types = getTypes();
+            const counts = pileCounts();
+            const most = Math.max(0, ...types.map(t => counts[t] || 0));
+            const weights = types.map(t => Math.pow(most - (counts[t] || 0) + 1, 2));
+            const total = weights.reduce((sum, w) => sum + w, 0);
+
+            let roll = rng.next() * total;
+            for (let i = 0; i < types.length; i++) {
+                roll -= weights[i];
+                if (roll < 0) return types[i];
+            }
+            return types[types.length - 1];
+        }
+    };
+}
+
+// A fixed list, then nothing more; puzzles deal their pieces this way. Not
+// offered as an option, since a run would end when it runs out.
+function sequence(rng, getTypes, { sequence: types = [] }) {
+    let index = 0;
+    return {
+        next: () => index < types.length ? types[index++] : null,
+        getState: () => index,
+        setState: (state) => { index = state; }
+    };
+}
+
+const FACTORIES = { uniform, bag7, frustris, sequence };
+
+export function createRandomizer(id, rng, getTypes, context = {}) {
+    const factory = FACTORIES[id] || uniform;
+    return factory(rng, getTypes, context);
+}
@@ -0,0 +1,328 @@
+import Matter from 'matter-js';
+import { BLOCK_SIZE } from './tetrominoes.js';
+import { GARBAGE_COLOR } from './game-core.js';
+import { predictLanding } from './landing.js';
+import { blocksOf } from './groups.js';
+import { pieceColor, glyphOf, GLYPH_FILL, GLYPH_STROKE } from './accessibility.js';
+
+// Alias
+const { Composite } = Matter;
+
+// Cleared pieces flash this long before they shatter
+const FLASH_MS = 180;
+const POPUP_MS = 900;
+const PARTICLES_PER_BLOCK = 6;
+const PARTICLE_GRAVITY = 0.0012;
+
+// Keyed by path data, since types of different sets can share a glyph
+const glyphPaths = {};
+const glyphPath = (data) => glyphPaths[data] || (glyphPaths[data] = new Path2D(data));
+
+// Draws a core's world onto its own canvas, plus the effects that only
+// exist on screen: clear flashes, particles and score popups. Effects are
+// driven by the core's events, so the simulation itself stays untouched.
+export class GameRenderer {
+    constructor(element, width, height) {
+        this.canvas = document.createElement('canvas');
+        element.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+        this.resize(width, height);
+
+        this.core = null;
+        // Outline where the active piece would land
+        this.showGhost = false;
+        this.palette = 'standard';
+        this.showGlyphs = false;
+        // No flashing or flying bits, and popups stay put
+        this.reducedMotion = false;
+        this.flashes = [];
+        this.particles = [];
+        this.popups = [];
+        this.frame = null;
+        this.lastFrame = 0;
+    }
+
+    // width and height are in world pixels. scale is how much bigger the
+    // page shows the canvas, so the backing store can keep up and stay sharp.
+    resize(width, height, scale = 1) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = (window.devicePixelRatio || 1) * scale;
+        this.canvas.width = Math.round(width * this.pixelRatio);
+        this.canvas.height = Math.round(height * this.pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+    }
+
+    setCore(core) {
+        this.core = core;
+        this.flashes = [];
+        this.particles = [];
+        this.popups = [];
+    }
+
+    run() {
+        if (this.frame !== null) return;
+        const loop = (now) => {
+            this.draw(now);
+            this.frame = requestAnimationFrame(loop);
+        };
+        this.frame = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    colorOf(pieceType) {
+        return pieceType ? pieceColor(pieceType, this.palette, this.core.shapes) : GARBAGE_COLOR;
+    }
+
+    handleEvent(event) {
+        const now = performance.now();
+
+        switch (event.type) {
+            case 'groupCleared': {
+                event.groups.forEach(group => this.addFlashes(group.pieces, now));
+                const x = event.groups.reduce((sum, g) => sum + g.x, 0) / event.groups.length;
+                const y = event.groups.reduce((sum, g) => sum + g.y, 0) / event.groups.length;
+                this.popups.push({ x, y, text: `+${event.points}`, start: now });
+                break;
+            }
+            case 'bombExploded':
+                this.addFlashes(event.pieces, now);
+                if (event.points > 0) this.popups.push({ x: event.x, y: event.y, text: `+${event.points}`, start: now });
+                break;
+        }
+    }
+
+    // Snapshots of pieces the core has already removed
+    addFlashes(pieces, now) {
+        pieces.forEach(piece => {
+            this.flashes.push({
+                blocks: piece.blocks, angle: piece.angle, pieceType: piece.pieceType, color: this.colorOf(piece.pieceType), start: now
+            });
+        });
+    }
+
+    shatter(flash) {
+        if (this.reducedMotion) return;
+        flash.blocks.forEach(block => {
+            for (let i = 0; i < PARTICLES_PER_BLOCK; i++) {
+                const direction = Math.random() * Math.PI * 2;
+                const speed = 0.05 + Math.random() * 0.25;
+                this.particles.push({
+                    x: block.x + (Math.random() - 0.5) * BLOCK_SIZE,
+                    y: block.y + (Math.random() - 0.5) * BLOCK_SIZE,
+                    vx: Math.cos(direction) * speed,
+                    vy: Math.sin(direction) * speed - 0.15,
+                    angle: Math.random() * Math.PI,
+                    spin: (Math.random() - 0.5) * 0.02,
+                    size: 3 + Math.random() * 6,
+                    life: 500 + Math.random() * 400,
+                    age: 0,
+                    color: flash.color
+                });
+            }
+        });
+    }
+
+    draw(now) {
+        // Long gaps (background tab) shouldn't fling particles across the well
+        const dt = Math.min(now - (this.lastFrame || now), 50);
+        this.lastFrame = now;
+
+        const ctx = this.context;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        if (!this.core) return;
+
+        const world = this.core.engine.world;
+
+        if (this.showGhost) this.drawLanding();
+        Composite.allConstraints(world).forEach(c => this.drawConstraint(c));
+
+        Composite.allBodies(world).forEach(body => {
+            if (body.isStatic) return;
+            const glow = body.isGarbage ? 0 : body.label === 'active' ? 18 : 8;
+            const fill = body.pieceType ? this.colorOf(body.pieceType) : body.render.fillStyle;
+            blocksOf(body).forEach(part => {
+                this.drawBlock(part.position.x, part.position.y, part.angle, fill, part.render, glow, body.pieceType);
+            });
+        });
+
+        this.drawFlashes(now);
+        this.drawParticles(dt);
+        this.drawPopups(now);
+    }
+
+    drawBlock(x, y, angle, fill, style, glow, pieceType = null) {
+        const ctx = this.context;
+        const size = BLOCK_SIZE - 2;
+        const half = size / 2;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.globalAlpha = style.opacity ?? 1;
+
+        ctx.beginPath();
+        ctx.roundRect(-half, -half, size, size, 4);
+        ctx.shadowColor = fill;
+        ctx.shadowBlur = glow;
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        // Bevel: lit from the top left, shaded to the bottom right
+        const bevel = ctx.createLinearGradient(-half, -half, half, half);
+        bevel.addColorStop(0, 'rgba(255, 255, 255, 0.45)');
+        bevel.addColorStop(0.4, 'rgba(255, 255, 255, 0)');
+        bevel.addColorStop(0.6, 'rgba(0, 0, 0, 0)');
+        bevel.addColorStop(1, 'rgba(0, 0, 0, 0.4)');
+        ctx.fillStyle = bevel;
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.roundRect(-half + 5, -half + 5, size - 10, size - 10, 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fill();
+
+        if (this.showGlyphs && pieceType) {
+            ctx.save();
+            // Glyphs are drawn in a 10x10 box; this fills most of the block
+            ctx.scale(size / 14, size / 14);
+            ctx.translate(-5, -5);
+            ctx.lineWidth = 0.8;
+            ctx.strokeStyle = GLYPH_STROKE;
+            ctx.fillStyle = GLYPH_FILL;
+            const glyph = glyphPath(glyphOf(pieceType, this.core.shapes));
+            ctx.stroke(glyph);
+            ctx.fill(glyph);
+            ctx.restore();
+        }
+
+        // Special materials keep their outline
+        if (style.lineWidth) {
+            ctx.beginPath();
+            ctx.roundRect(-half, -half, size, size, 4);
+            ctx.lineWidth = style.lineWidth;
+            ctx.strokeStyle = style.strokeStyle;
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    // Dashed outline at the landing spot, filled in the piece colour when it
+    // would complete a group
+    drawLanding() {
+        const landing = predictLanding(this.core);
+        if (!landing) return;
+
+        const ctx = this.context;
+        const color = this.colorOf(this.core.activePiece.pieceType);
+        const size = BLOCK_SIZE - 2;
+        const half = size / 2;
+
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = landing.completes ? color : 'rgba(255, 255, 255, 0.35)';
+        ctx.fillStyle = color;
+
+        landing.blocks.forEach(block => {
+            ctx.save();
+            ctx.translate(block.x, block.y);
+            ctx.rotate(landing.angle);
+            ctx.beginPath();
+            ctx.roundRect(-half, -half, size, size, 4);
+            if (landing.completes) {
+                ctx.globalAlpha = 0.25;
+                ctx.shadowColor = color;
+                ctx.shadowBlur = 16;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            }
+            ctx.stroke();
+            ctx.restore();
+        });
+
+        ctx.restore();
+    }
+
+    drawConstraint(constraint) {
+        const { bodyA, bodyB, pointA, pointB, render } = constraint;
+        if (!bodyA || !bodyB) return;
+
+        const ctx = this.context;
+        ctx.beginPath();
+        ctx.moveTo(bodyA.position.x + pointA.x, bodyA.position.y + pointA.y);
+        ctx.lineTo(bodyB.position.x + pointB.x, bodyB.position.y + pointB.y);
+        ctx.lineWidth = render.lineWidth;
+        ctx.strokeStyle = render.strokeStyle;
+        ctx.stroke();
+    }
+
+    drawFlashes(now) {
+        this.flashes = this.flashes.filter(flash => {
+            const t = now - flash.start;
+            if (t >= FLASH_MS) {
+                this.shatter(flash);
+                return false;
+            }
+
+            // Blink between the piece colour and white; just fade with reduced motion
+            const white = !this.reducedMotion && Math.floor(t / 45) % 2 === 0;
+            const style = { opacity: this.reducedMotion ? 1 - t / FLASH_MS : 1 };
+            flash.blocks.forEach(block => {
+                this.drawBlock(block.x, block.y, flash.angle, white ? '#ffffff' : flash.color, style, 24, flash.pieceType);
+            });
+            return true;
+        });
+    }
+
+    drawParticles(dt) {
+        const ctx = this.context;
+
+        this.particles = this.particles.filter(p => {
+            p.age += dt;
+            if (p.age >= p.life) return false;
+
+            p.vy += PARTICLE_GRAVITY * dt;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+            p.angle += p.spin * dt;
+
+            ctx.save();
+            ctx.translate(p.x, p.y);
+            ctx.rotate(p.angle);
+            ctx.globalAlpha = 1 - p.age / p.life;
+            ctx.fillStyle = p.color;
+            ctx.fillRect(-p.size / 2, -p.size / 2, p.size, p.size);
+            ctx.restore();
+            return true;
+        });
+    }
+
+    drawPopups(now) {
+        const ctx = this.context;
+        ctx.textAlign = 'center';
+        ctx.font = "900 24px 'Outfit', sans-serif";
+
+        this.popups = this.popups.filter(popup => {
+            const t = (now - popup.start) / POPUP_MS;
+            if (t >= 1) return false;
+
+            ctx.save();
+            ctx.globalAlpha = 1 - t;
+            ctx.shadowColor = 'rgba(0, 229, 255, 0.8)';
+            ctx.shadowBlur = 12;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(popup.text, popup.x, popup.y - (this.reducedMotion ? 0 : t * 50));
+            ctx.restore();
+            return true;
+        });
+    }
+}
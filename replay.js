@@ -0,0 +1,107 @@
+import { ACTIONS, emptyInput } from './game-core.js';
+
+// A replay is the run's seed plus every input change, keyed by simulation tick.
+// Because the simulation is deterministic, feeding the same inputs back in
+// at the same ticks reproduces the whole run.
+
+export const REPLAY_VERSION = 2;
+
+// Drag deltas are rounded before they are applied, so a live run and its
+// playback see exactly the same numbers
+export function quantizeDrag(drag) {
+    return {
+        dx: Math.round(drag.dx * 100) / 100,
+        rot: Math.round(drag.rot * 10000) / 10000
+    };
+}
+
+export class ReplayRecorder {
+    // options are the FrustrisCore options the run was started with
+    constructor(seed, options = {}) {
+        this.seed = seed;
+        this.options = options;
+        this.keyEvents = [];
+        this.dragEvents = [];
+        this.held = {};
+        this.length = 0;
+    }
+
+    // Actions are stored by index to keep the file small
+    record(tick, input) {
+        ACTIONS.forEach((action, index) => {
+            const down = !!input[action];
+            if (down !== !!this.held[action]) {
+                this.held[action] = down;
+                this.keyEvents.push([tick, index, down ? 1 : 0]);
+            }
+        });
+
+        if (input.moveX !== 0 || input.rotate !== 0) {
+            this.dragEvents.push([tick, input.moveX, input.rotate]);
+        }
+
+        this.length = tick + 1;
+    }
+
+    toJSON() {
+        return {
+            v: REPLAY_VERSION,
+            seed: this.seed,
+            options: this.options,
+            length: this.length,
+            keys: this.keyEvents,
+            drag: this.dragEvents
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor(data) {
+        this.seed = data.seed;
+        this.options = data.options || {};
+        this.length = data.length;
+        this.keyEvents = data.keys;
+        this.dragEvents = data.drag;
+        this.rewind();
+    }
+
+    rewind() {
+        this.keyIndex = 0;
+        this.dragIndex = 0;
+        this.held = {};
+    }
+
+    // Must be called once per tick, in order; after rewind() the first call
+    // catches up on everything before its tick, so it can start mid-run
+    inputAt(tick) {
+        while (this.keyIndex < this.keyEvents.length && this.keyEvents[this.keyIndex][0] <= tick) {
+            const [, index, down] = this.keyEvents[this.keyIndex++];
+            this.held[ACTIONS[index]] = down === 1;
+        }
+
+        const input = { ...emptyInput(), ...this.held };
+        while (this.dragIndex < this.dragEvents.length && this.dragEvents[this.dragIndex][0] <= tick) {
+            const [t, dx, rot] = this.dragEvents[this.dragIndex++];
+            if (t === tick) {
+                input.moveX += dx;
+                input.rotate += rot;
+            }
+        }
+
+        return input;
+    }
+
+    isFinished(tick) {
+        return tick >= this.length;
+    }
+}
+
+export function parseReplay(text) {
+    const data = JSON.parse(text);
+    const valid = data && data.v === REPLAY_VERSION &&
+        Number.isInteger(data.seed) && Number.isInteger(data.length) &&
+        Array.isArray(data.keys) && Array.isArray(data.drag);
+
+    if (!valid) throw new Error('Not a Frustris replay file');
+    return data;
+}
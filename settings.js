@@ -0,0 +1,38 @@
+// Player preferences, persisted to localStorage as one JSON blob
+const STORAGE_KEY = 'frustris_settings';
+
+const DEFAULT_SETTINGS = {
+    bindings: null,
+    padBindings: null,
+    handling: null,
+    randomizer: 'uniform',
+    previewCount: 3,
+    // A built-in set's id or a custom set's; see piece-sets.js
+    pieceSet: 'tetrominoes',
+    materials: 'off',
+    // Well size id, see wells.js
+    well: 'classic',
+    ghost: true,
+    palette: 'standard',
+    glyphs: false,
+    // 'auto' follows prefers-reduced-motion
+    motion: 'auto',
+    mode: 'endless',
+    // Last initials entered for the leaderboard
+    initials: '',
+    // Volumes from 0 to 1; null for the defaults
+    audio: null
+};
+
+export function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
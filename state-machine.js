@@ -0,0 +1,37 @@
+// A named current state and the moves allowed out of each one. States can
+// have enter and exit handlers; go() runs the old state's exit, then the new
+// state's enter, passing along whatever data the transition came with.
+export class StateMachine {
+    constructor(initial, transitions) {
+        this.state = initial;
+        this.transitions = transitions;
+        this.handlers = {};
+    }
+
+    on(state, { enter = null, exit = null } = {}) {
+        this.handlers[state] = { enter, exit };
+        return this;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        return (this.transitions[this.state] || []).includes(to);
+    }
+
+    // Returns false and changes nothing if the move isn't allowed
+    go(to, data = {}) {
+        if (!this.can(to)) return false;
+
+        const from = this.state;
+        const exit = this.handlers[from] && this.handlers[from].exit;
+        const enter = this.handlers[to] && this.handlers[to].enter;
+
+        if (exit) exit(to, data);
+        this.state = to;
+        if (enter) enter(from, data);
+        return true;
+    }
+}
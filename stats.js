@@ -0,0 +1,103 @@
+// What happened in a run, counted from the core's own events plus a sample
+// of the level and pile every tick. Times are in ticks; per level there's
+// { ticks, pieces, groups }, so each level's pace can be compared.
+export class RunStats {
+    constructor(data = {}) {
+        this.piecesByType = { ...data.piecesByType };
+        this.hardDrops = data.hardDrops || 0;
+        this.groupsCleared = data.groupsCleared || 0;
+        this.largestGroup = data.largestGroup || 0;
+        this.perfectClears = data.perfectClears || 0;
+        this.maxPilePercent = data.maxPilePercent || 0;
+        this.levels = {};
+        Object.entries(data.levels || {}).forEach(([level, entry]) => this.levels[level] = { ...entry });
+    }
+
+    level(level) {
+        if (!this.levels[level]) this.levels[level] = { ticks: 0, pieces: 0, groups: 0 };
+        return this.levels[level];
+    }
+
+    handleEvent(event, level) {
+        switch (event.type) {
+            case 'pieceSettled':
+                this.piecesByType[event.pieceType] = (this.piecesByType[event.pieceType] || 0) + 1;
+                this.level(level).pieces++;
+                break;
+            case 'pieceHardDropped':
+                this.hardDrops++;
+                break;
+            case 'groupCleared':
+                this.groupsCleared += event.groups.length;
+                this.level(level).groups += event.groups.length;
+                this.largestGroup = Math.max(this.largestGroup, ...event.groups.map(g => g.size));
+                break;
+            case 'perfectClear':
+                this.perfectClears++;
+                break;
+        }
+    }
+
+    sample(level, pilePercent) {
+        this.level(level).ticks++;
+        this.maxPilePercent = Math.max(this.maxPilePercent, pilePercent);
+    }
+
+    get pieces() {
+        return Object.values(this.piecesByType).reduce((sum, count) => sum + count, 0);
+    }
+
+    get ticks() {
+        return Object.values(this.levels).reduce((sum, entry) => sum + entry.ticks, 0);
+    }
+
+    // Counts add up, records keep the higher one
+    add(other) {
+        Object.entries(other.piecesByType).forEach(([type, count]) => {
+            this.piecesByType[type] = (this.piecesByType[type] || 0) + count;
+        });
+        this.hardDrops += other.hardDrops;
+        this.groupsCleared += other.groupsCleared;
+        this.largestGroup = Math.max(this.largestGroup, other.largestGroup);
+        this.perfectClears += other.perfectClears;
+        this.maxPilePercent = Math.max(this.maxPilePercent, other.maxPilePercent);
+        Object.entries(other.levels).forEach(([level, entry]) => {
+            const mine = this.level(level);
+            mine.ticks += entry.ticks;
+            mine.pieces += entry.pieces;
+            mine.groups += entry.groups;
+        });
+    }
+
+    toJSON() {
+        return {
+            piecesByType: { ...this.piecesByType },
+            hardDrops: this.hardDrops,
+            groupsCleared: this.groupsCleared,
+            largestGroup: this.largestGroup,
+            perfectClears: this.perfectClears,
+            maxPilePercent: this.maxPilePercent,
+            levels: Object.fromEntries(Object.entries(this.levels).map(([level, entry]) => [level, { ...entry }]))
+        };
+    }
+}
+
+export const piecesPerMinute = (pieces, ms) => ms > 0 ? pieces / (ms / 60000) : 0;
+
+// Totals over every finished run, kept across sessions
+const LIFETIME_KEY = 'frustris_stats';
+
+export function loadLifetimeStats() {
+    try {
+        const data = JSON.parse(localStorage.getItem(LIFETIME_KEY)) || {};
+        return { runs: data.runs || 0, stats: new RunStats(data) };
+    } catch {
+        return { runs: 0, stats: new RunStats() };
+    }
+}
+
+export function recordLifetimeStats(stats) {
+    const lifetime = loadLifetimeStats();
+    lifetime.stats.add(stats);
+    localStorage.setItem(LIFETIME_KEY, JSON.stringify({ runs: lifetime.runs + 1, ...lifetime.stats.toJSON() }));
+}
@@ -0,0 +1,258 @@
+import { FrustrisCore, STEP_MS, emptyInput } from './game-core.js';
+import { drawPiecePreview } from './preview.js';
+import { randomSeed } from './random.js';
+import { levelTitle } from './levels.js';
+import { InputMapper, describeKey, getGamepad } from './input.js';
+import { loadSettings } from './settings.js';
+import { GameRenderer } from './renderer.js';
+import { isReducedMotion } from './accessibility.js';
+import { pieceSetShapes } from './piece-sets.js';
+
+// P1 plays with the keys bound in the controls screen, P2 always with these
+export const P2_KEYS = {
+    KeyJ: 'left', KeyL: 'right', KeyK: 'softDrop', KeyU: 'rotateLeft', KeyO: 'rotateRight', Enter: 'hardDrop', KeyI: 'hold'
+};
+
+// Key code -> action for each side. A P2 key that P1 has bound is left to P1.
+export function versusKeyMaps(bindings) {
+    const p1 = {};
+    Object.entries(bindings).forEach(([action, codes]) => {
+        if (action !== 'pause') codes.forEach(code => p1[code] = action);
+    });
+    const p2 = Object.fromEntries(Object.entries(P2_KEYS).filter(([code]) => !p1[code] && !bindings.pause.includes(code)));
+    return [p1, p2];
+}
+
+// "←/→ Move · A/D Rotate · ↓ Soft · Space Drop · C Hold" for a key map
+function describeKeyMap(map) {
+    const keysFor = (action) => Object.keys(map).filter(code => map[code] === action).map(describeKey).join('/') || '-';
+    return [
+        `${keysFor('left')}/${keysFor('right')} Move`,
+        `${keysFor('rotateLeft')}/${keysFor('rotateRight')} Rotate`,
+        `${keysFor('softDrop')} Soft`,
+        `${keysFor('hardDrop')} Drop`,
+        `${keysFor('hold')} Hold`
+    ].join(' · ');
+}
+
+const PERFECT_CLEAR_GARBAGE = 6;
+
+// Every piece in a cleared group except one is sent across as a garbage block
+export function garbageForClear(event) {
+    return event.groups.reduce((count, group) => count + group.size - 1, 0);
+}
+
+class VersusField {
+    constructor(element, settings) {
+        this.element = element;
+        this.settings = settings;
+        this.shapes = pieceSetShapes(settings.pieceSet);
+        this.look = { palette: settings.palette, glyphs: settings.glyphs, shapes: this.shapes };
+        this.reducedMotion = isReducedMotion(settings.motion);
+        this.canvasContainer = element.querySelector('.versus-canvas');
+        this.scoreElement = element.querySelector('.versus-score');
+        this.previewElement = element.querySelector('.versus-next');
+        this.pileMeter = element.querySelector('.versus-pile');
+        this.renderer = null;
+    }
+
+    reset(seed, handling) {
+        this.core = new FrustrisCore({ seed, handling, shapes: this.shapes });
+
+        if (!this.renderer) {
+            this.renderer = new GameRenderer(this.canvasContainer, this.core.width, this.core.height);
+            this.renderer.showGhost = this.settings.ghost;
+            this.renderer.palette = this.settings.palette;
+            this.renderer.showGlyphs = this.settings.glyphs;
+            this.renderer.reducedMotion = this.reducedMotion;
+            this.renderer.run();
+        }
+        this.renderer.setCore(this.core);
+
+        this.element.classList.remove('winner', 'loser');
+        this.updateHud();
+        drawPiecePreview(this.previewElement, this.core.nextPieceType, this.look);
+    }
+
+    // Takes the canvas out again, for the next match to build its own
+    stop() {
+        if (!this.renderer) return;
+        this.renderer.stop();
+        this.renderer.canvas.remove();
+        this.renderer = null;
+    }
+
+    updateHud() {
+        this.scoreElement.innerText = this.core.score.toString().padStart(6, '0');
+        const pilePercent = this.core.pilePercent;
+        this.pileMeter.style.width = `${pilePercent}%`;
+        this.pileMeter.style.background = pilePercent > 85 ? 'var(--danger)' : 'var(--accent-secondary)';
+    }
+
+    showBonus(text) {
+        if (this.reducedMotion) return;
+        const bonus = document.createElement('div');
+        bonus.className = 'clear-bonus versus-bonus';
+        bonus.innerText = text;
+        this.canvasContainer.appendChild(bonus);
+        setTimeout(() => bonus.remove(), 1000);
+    }
+}
+
+// Two playfields side by side; clears on one side send garbage to the other
+export class VersusMatch {
+    // onExit is called when the players leave through the menu button
+    constructor(root, { onExit = () => {} } = {}) {
+        this.root = root;
+        this.onExit = onExit;
+        this.settings = loadSettings();
+        this.fields = Array.from(root.querySelectorAll('.versus-field')).map(el => new VersusField(el, this.settings));
+        this.resultModal = root.querySelector('#versus-result');
+        this.resultTitle = root.querySelector('#versus-winner');
+        this.keys = {};
+        // Gamepad 1 plays left, gamepad 2 plays right
+        this.inputMapper = new InputMapper(this.settings);
+        this.keyMaps = versusKeyMaps(this.inputMapper.bindings);
+        this.fields.forEach((field, index) => {
+            field.element.querySelector('.versus-keys').innerText = describeKeyMap(this.keyMaps[index]);
+        });
+        this.isPaused = false;
+        this.isOver = false;
+        this.frame = null;
+
+        // Dropped all at once by stop(), so a later match starts clean
+        this.listeners = new AbortController();
+        const { signal } = this.listeners;
+
+        window.addEventListener('keydown', (e) => {
+            if (this.inputMapper.bindings.pause.includes(e.code) && !this.isOver) {
+                this.togglePause();
+                return;
+            }
+            if (this.keyMaps.some(map => map[e.code])) e.preventDefault();
+            this.keys[e.code] = true;
+        }, { signal });
+        window.addEventListener('keyup', (e) => this.keys[e.code] = false, { signal });
+
+        root.querySelector('#versus-rematch').addEventListener('click', (e) => {
+            e.target.blur();
+            this.start(randomSeed());
+        }, { signal });
+        this.resumeBtn = root.querySelector('#versus-resume');
+        this.resumeBtn.addEventListener('click', (e) => {
+            e.target.blur();
+            this.togglePause();
+        }, { signal });
+        root.querySelector('#versus-exit').addEventListener('click', (e) => {
+            e.target.blur();
+            this.onExit();
+        }, { signal });
+
+        window.addEventListener('resize', () => this.fitToViewport(), { signal });
+    }
+
+    // Both sides get the same seed, so both see the same piece sequence
+    start(seed) {
+        // Both sides play with the move and rotate speeds from the controls screen
+        this.fields.forEach(field => field.reset(seed, { ...this.inputMapper.handling }));
+        this.isOver = false;
+        this.isPaused = false;
+        this.resultModal.classList.add('hidden');
+        this.root.classList.remove('hidden');
+        this.fitToViewport();
+        this.startLoop();
+    }
+
+    stop() {
+        this.listeners.abort();
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.fields.forEach(field => field.stop());
+        this.resultModal.classList.add('hidden');
+        this.root.classList.add('hidden');
+    }
+
+    fitToViewport() {
+        const scale = Math.min(1, window.innerWidth / (this.root.scrollWidth + 32), window.innerHeight / (this.root.scrollHeight + 32));
+        this.root.style.transform = `scale(${scale})`;
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.resultTitle.innerText = 'PAUSED';
+        this.resumeBtn.classList.remove('hidden');
+        this.resultModal.classList.toggle('hidden', !this.isPaused);
+    }
+
+    collectInput(index) {
+        const input = emptyInput();
+        const map = this.keyMaps[index];
+        for (const code in map) {
+            if (this.keys[code]) input[map[code]] = true;
+        }
+        return this.inputMapper.readGamepad(getGamepad(index), input);
+    }
+
+    step() {
+        this.fields.forEach((field, index) => {
+            if (this.isOver) return;
+            const events = field.core.step(this.collectInput(index));
+            events.forEach(event => this.handleEvent(index, event));
+        });
+    }
+
+    handleEvent(index, event) {
+        const field = this.fields[index];
+        const opponent = this.fields[1 - index];
+        field.renderer.handleEvent(event);
+
+        switch (event.type) {
+            case 'pieceSpawned':
+                drawPiecePreview(field.previewElement, event.nextPieceType, field.look);
+                break;
+            case 'groupCleared':
+                opponent.core.queueGarbage(garbageForClear(event));
+                field.showBonus(`+${garbageForClear(event)} ATTACK`);
+                break;
+            case 'perfectClear':
+                opponent.core.queueGarbage(PERFECT_CLEAR_GARBAGE);
+                field.showBonus('PERFECT CLEAR!');
+                break;
+            case 'levelUp':
+                field.showBonus(levelTitle(event.level));
+                break;
+            case 'gameOver':
+                this.finish(1 - index);
+                break;
+        }
+    }
+
+    finish(winner) {
+        this.isOver = true;
+        this.fields[winner].element.classList.add('winner');
+        this.fields[1 - winner].element.classList.add('loser');
+        this.resultTitle.innerText = `PLAYER ${winner + 1} WINS`;
+        this.resumeBtn.classList.add('hidden');
+        this.resultModal.classList.remove('hidden');
+    }
+
+    startLoop() {
+        if (this.frame !== null) return;
+
+        let last = performance.now();
+        let accumulator = 0;
+
+        const loop = (now) => {
+            accumulator += Math.min(now - last, 250);
+            last = now;
+
+            while (accumulator >= STEP_MS) {
+                if (!this.isPaused && !this.isOver) this.step();
+                accumulator -= STEP_MS;
+            }
+            this.fields.forEach(field => field.updateHud());
+            this.frame = requestAnimationFrame(loop);
+        };
+        this.frame = requestAnimationFrame(loop);
+    }
+}
@@ -0,0 +1,24 @@
+// Well sizes to pick from. Only the width changes, so each well is the same
+// climb to the death line; the core scales its pixel rules to the size
+// either way (see wellRules in game-core.js).
+export const WELL_SIZES = [
+    { id: 'narrow', label: 'Narrow', width: 320, height: 700 },
+    { id: 'classic', label: 'Classic', width: 400, height: 700 },
+    { id: 'wide', label: 'Wide', width: 600, height: 700 }
+];
+
+export function wellSize(id) {
+    return WELL_SIZES.find(well => well.id === id) || WELL_SIZES[1];
+}
+
+// The well a run was played in, from the options it was started with
+export function wellOf({ width, height } = {}) {
+    return WELL_SIZES.find(well => well.width === width && well.height === height) || wellSize('classic');
+}
+
+// Results only compare within one well size. Classic keeps the bare key,
+// so results from before there were sizes still count for it.
+export function wellKey(key, run) {
+    const { id } = wellOf(run);
+    return id === 'classic' ? key : `${key}:${id}`;
+}